@@ -6,6 +6,17 @@ const inquirer = require('inquirer');
 const CodeReviewTool = require('../lib/index');
 const TemplateManager = require('../lib/template-manager');
 const RuleEngine = require('../lib/rule-engine');
+const ReportGenerator = require('../lib/report-generator');
+const { SEVERITY_LEVELS, meetsSeverity, parseFailOn } = require('../lib/severity');
+const { flattenFindings, formatLocation } = require('../lib/findings');
+const QualityGate = require('../lib/quality-gate');
+const ReportComparison = require('../lib/report-comparison');
+const GitHooks = require('../lib/git-hooks');
+const RuleFixer = require('../lib/rule-fixer');
+const RuleResolver = require('../lib/rule-resolver');
+const ConfigOverrides = require('../lib/config-overrides');
+const FileWalker = require('../lib/file-walker');
+const logger = require('../lib/logger');
 const path = require('path');
 const fs = require('fs');
 
@@ -13,11 +24,85 @@ const program = new Command();
 
 // Helper function for colored logging
 const log = {
-  info: (msg) => console.log(chalk.blue('ℹ️ ') + msg),
-  success: (msg) => console.log(chalk.green('✅ ') + msg),
-  warning: (msg) => console.log(chalk.yellow('⚠️ ') + msg),
-  error: (msg) => console.log(chalk.red('❌ ') + msg),
-  header: (msg) => console.log(chalk.bold.cyan('🔍 ' + msg))
+  info: (msg) => logger.log(chalk.blue('ℹ️ ') + msg),
+  success: (msg) => logger.log(chalk.green('✅ ') + msg),
+  warning: (msg) => logger.log(chalk.yellow('⚠️ ') + msg),
+  error: (msg) => logger.log(chalk.red('❌ ') + msg),
+  header: (msg) => logger.log(chalk.bold.cyan('🔍 ' + msg))
+};
+
+// Print the result of one watch-mode re-run
+const printWatchCycle = (cycle) => {
+  const time = new Date().toLocaleTimeString();
+  console.log('\n' + chalk.bold(`🔄 [${time}] ${cycle.changedFiles.length} file(s) changed: ${cycle.changedFiles.slice(0, 5).join(', ')}${cycle.changedFiles.length > 5 ? ', ...' : ''}`));
+  
+  if (cycle.analyzers.length === 0) {
+    log.info('No analyzers affected by these changes');
+    return;
+  }
+  
+  console.log(`  Re-ran: ${cycle.analyzers.join(', ')}`);
+  
+  const describe = (finding) => {
+    const location = finding.file ? `${finding.file}${finding.startLine ? `:${finding.startLine}` : ''}` : finding.analyzer;
+    return `${location} ${finding.rule ? `[${finding.rule}] ` : ''}${finding.message}`;
+  };
+  
+  cycle.added.slice(0, 10).forEach(finding => console.log(chalk.red(`  + ${describe(finding)}`)));
+  if (cycle.added.length > 10) console.log(chalk.red(`  + ... and ${cycle.added.length - 10} more new findings`));
+  
+  cycle.fixed.slice(0, 10).forEach(finding => console.log(chalk.green(`  - ${describe(finding)}`)));
+  if (cycle.fixed.length > 10) console.log(chalk.green(`  - ... and ${cycle.fixed.length - 10} more fixed findings`));
+  
+  const previous = cycle.previousScore.overall;
+  const current = cycle.score.overall;
+  const change = current - previous;
+  const changeText = change === 0 ? 'no change' : `${change > 0 ? '+' : ''}${change}`;
+  const scoreColor = change > 0 ? 'green' : change < 0 ? 'red' : 'white';
+  
+  console.log(`  ${cycle.added.length} new, ${cycle.fixed.length} fixed`);
+  console.log(chalk[scoreColor](`  📊 Score: ${previous} → ${current}/100 (${cycle.score.grade}, ${changeText})`));
+};
+
+// Print the quality gate pass/fail table
+const printQualityGate = (gate) => {
+  const icons = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+  const nameWidth = Math.max(9, ...gate.checks.map(check => check.name.length));
+  
+  logger.log('\n' + chalk.bold(`🚦 Quality Gate: ${gate.passed ? chalk.green('PASSED') : chalk.red('FAILED')}`));
+  gate.checks.forEach(check => {
+    const expected = check.type ? `${check.type === 'max' ? '≤' : '≥'} ${check.threshold}` : String(check.threshold);
+    const actual = check.status === 'skipped' ? chalk.gray(check.reason) : String(check.actual);
+    const line = `  ${icons[check.status]} ${check.name.padEnd(nameWidth)}  ${expected.padEnd(8)}  ${actual}`;
+    logger.log(check.status === 'failed' ? chalk.red(line) : line);
+  });
+};
+
+// Print a comparison of two JSON reports
+const printComparison = (result) => {
+  const signed = (value) => value === null ? '—' : `${value > 0 ? '+' : ''}${value}`;
+  const color = (value) => value > 0 ? 'green' : value < 0 ? 'red' : 'white';
+  const label = (report) => report.file || report.timestamp || 'report';
+  const describe = (finding) => `${formatLocation(finding)} [${finding.ruleId}] ${finding.message}`;
+  
+  console.log(chalk.bold.cyan(`🔀 ${label(result.previous)} → ${label(result.current)}`));
+  console.log(chalk[color(result.score.delta)](`\n📊 Score: ${result.score.previous} → ${result.score.current}/100 (${signed(result.score.delta)})`));
+  console.log(`🎓 Grade: ${result.grade.changed ? `${result.grade.previous} → ${result.grade.current}` : `${result.grade.current} (unchanged)`}`);
+  
+  const analyzerWidth = Math.max(8, ...result.analyzers.map(entry => entry.analyzer.length));
+  result.analyzers.forEach(entry => {
+    const line = `  ${entry.analyzer.padEnd(analyzerWidth)}  ${String(entry.previous ?? '—').padStart(3)} → ${String(entry.current ?? '—').padStart(3)}  ${signed(entry.delta)}`;
+    console.log(entry.delta ? chalk[color(entry.delta)](line) : line);
+  });
+  
+  console.log(`\n  ${result.added.length} new, ${result.fixed.length} fixed, ${result.unchanged.length} unchanged findings`);
+  result.added.slice(0, 20).forEach(finding => console.log(chalk.red(`  + ${describe(finding)}`)));
+  if (result.added.length > 20) console.log(chalk.red(`  + ... and ${result.added.length - 20} more new findings`));
+  result.fixed.slice(0, 20).forEach(finding => console.log(chalk.green(`  - ${describe(finding)}`)));
+  if (result.fixed.length > 20) console.log(chalk.green(`  - ... and ${result.fixed.length - 20} more fixed findings`));
+  
+  const verdictColor = { regressed: 'red', improved: 'green', unchanged: 'white' }[result.verdict];
+  console.log(chalk.bold[verdictColor](`\nVerdict: quality ${result.verdict}`));
 };
 
 program
@@ -113,22 +198,85 @@ program
 program
   .command('analyze')
   .description('Run code analysis')
-  .option('-s, --severity <level>', 'Minimum severity level (info, warning, error, critical)', 'warning')
+  .option('-s, --severity <level>', `Minimum severity level (${SEVERITY_LEVELS.join(', ')}); defaults to the configured severity`)
   .option('-a, --analyzers <analyzers>', 'Comma-separated list of analyzers to run (eslint,typescript,security,performance,dependencies,coverage,architecture,custom-rules,bug-detection,test-cases)')
-  .option('-r, --reporters <reporters>', 'Comma-separated list of reporters to use')
+  .option('-r, --reporters <reporters>', 'Comma-separated list of reporters to use instead of the configured ones (names or module paths)')
   .option('--ai-prompts', 'Generate AI analysis prompts (enables AI testing mode)')
   .option('--ai-analysis', 'Perform actual AI code analysis and testing (enables AI testing mode)')
   .option('--no-reports', 'Skip report generation')
+  .option('-f, --format <format>', `Print findings to stdout (${ReportGenerator.CONSOLE_FORMATS.join(', ')}); progress output moves to stderr`)
+  .option('--update-baseline', 'Record all current findings in .self-serve-review-baseline.json')
+  .option('--no-baseline', 'Ignore the baseline file and report every finding as new')
+  .option('--since <ref>', 'Only analyze files changed since a git ref (e.g. origin/main), or in a commit range (origin/main...HEAD)')
+  .option('--staged', 'Only analyze files staged for commit')
+  .option('--changed-lines', 'With --since / --staged, only report findings on changed lines')
+  .option('--exit-policy <policy>', `Exit code policy (${QualityGate.EXIT_POLICIES.join(', ')}); defaults to qualityGate.policy`)
+  .option('--fail-on <severity>', `Also exit with code ${QualityGate.FAIL_ON_EXIT_CODE} when any finding is at or above this severity; "<analyzer>:<severity>" entries (e.g. "critical,bug-detection:error") set it per analyzer`)
   .option('-w, --watch', 'Watch for file changes and re-run analysis')
   .option('-v, --verbose', 'Verbose output')
   .action(async (options) => {
     try {
+      if (options.format) {
+        if (!ReportGenerator.CONSOLE_FORMATS.includes(options.format)) {
+          log.error(`Unknown format: ${options.format}. Available formats: ${ReportGenerator.CONSOLE_FORMATS.join(', ')}`);
+          process.exit(1);
+        }
+        
+        if (options.watch) {
+          log.error('--format cannot be combined with --watch');
+          process.exit(1);
+        }
+        
+        // Keep stdout for the formatted findings only
+        logger.setStream(process.stderr);
+      }
+      
+      if (options.severity && !SEVERITY_LEVELS.includes(options.severity)) {
+        log.error(`Invalid severity: ${options.severity}. Use one of: ${SEVERITY_LEVELS.join(', ')}`);
+        process.exit(1);
+      }
+      
+      let failOn = null;
+      if (options.failOn) {
+        try {
+          failOn = parseFailOn(options.failOn);
+        } catch (error) {
+          log.error(error.message);
+          process.exit(1);
+        }
+      }
+      
+      if (options.since || options.staged) {
+        const conflict = options.since && options.staged ? '--staged'
+          : options.watch ? '--watch'
+          : options.updateBaseline ? '--update-baseline'
+          : null;
+        if (conflict) {
+          log.error(`${options.since ? '--since' : '--staged'} cannot be combined with ${conflict}`);
+          process.exit(1);
+        }
+      } else if (options.changedLines) {
+        log.error('--changed-lines requires --since or --staged');
+        process.exit(1);
+      }
+      
+      if (options.exitPolicy && !QualityGate.EXIT_POLICIES.includes(options.exitPolicy)) {
+        log.error(`Invalid exit policy: ${options.exitPolicy}. Use one of: ${QualityGate.EXIT_POLICIES.join(', ')}`);
+        process.exit(1);
+      }
+      
       log.header('Self-Serve Code Review Analysis');
       
       // Parse options
       const toolOptions = {
         projectRoot: process.cwd(),
         severity: options.severity,
+        exitPolicy: options.exitPolicy,
+        baseline: options.baseline,
+        updateBaseline: options.updateBaseline,
+        since: options.since,
+        staged: options.staged,
+        changedLines: options.changedLines,
         verbose: options.verbose
       };
       
@@ -140,16 +288,19 @@ program
         toolOptions.reporters = options.reporters.split(',').map(r => r.trim());
       }
       
+      // AI flags add their reporters on top of the configured (or --reporters) ones
+      toolOptions.additionalReporters = [];
       if (options.aiPrompts) {
-        toolOptions.reporters = [...(toolOptions.reporters || []), 'ai-prompts'];
+        toolOptions.additionalReporters.push('ai-prompts', 'ai-summary');
       }
       
       if (options.aiAnalysis) {
-        toolOptions.reporters = [...(toolOptions.reporters || []), 'ai-analysis'];
+        toolOptions.additionalReporters.push('ai-analysis', 'ai-summary');
       }
       
-      if (options.noReports) {
+      if (options.reports === false) {
         toolOptions.reporters = [];
+        toolOptions.additionalReporters = options.aiAnalysis ? ['ai-analysis'] : [];
       }
       
       // Create and run analysis
@@ -160,34 +311,45 @@ program
                          (options.reporters && (options.reporters.includes('ai-analysis') || options.reporters.includes('ai-prompts')));
       
       if (isAITesting) {
-        log.info('🤖 Running in AI Testing Mode - Will generate HTML + AI Summary MD');
+        log.info('🤖 Running in AI Testing Mode - Will add AI Summary MD to the configured reports');
       } else {
-        log.info('📊 Running in General Testing Mode - Will generate HTML only');
+        log.info('📊 Running in General Testing Mode - Will generate the configured reports');
       }
       
       if (options.watch) {
         log.info('Starting watch mode...');
-        // TODO: Implement watch mode
-        log.warning('Watch mode not yet implemented');
+        await tool.watch(toolOptions, printWatchCycle);
+        log.info('Watching for changes. Press Ctrl+C to stop.');
+        
+        process.on('SIGINT', () => {
+          tool.stopWatching();
+          logger.log('');
+          log.info('Watch mode stopped');
+          process.exit(0);
+        });
         return;
       }
       
       const results = await tool.analyze(toolOptions);
       
+      if (options.format) {
+        process.stdout.write(tool.reporter.formatFindings(results.findings, options.format));
+      }
+      
       // Display results
-      console.log('\n' + '='.repeat(60));
+      logger.log('\n' + '='.repeat(60));
       log.header('Analysis Complete!');
-      console.log('='.repeat(60));
+      logger.log('='.repeat(60));
       
       const score = results.score;
       const grade = results.grade;
       const scoreColor = score >= 90 ? 'green' : score >= 70 ? 'yellow' : 'red';
       
-      console.log(chalk[scoreColor](`📊 Overall Score: ${score}/100 (${grade})`));
+      logger.log(chalk[scoreColor](`📊 Overall Score: ${score}/100 (${grade})`));
       
       // Show analyzer results
       if (results.findings) {
-        console.log('\n📋 Analysis Results:');
+        logger.log('\n📋 Analysis Results:');
         Object.entries(results.findings).forEach(([analyzer, result]) => {
           if (!result) return;
           
@@ -210,60 +372,109 @@ program
             summary += `${coverageValue}% coverage, `;
           }
           if (result.vulnerabilities !== undefined) summary += `${result.vulnerabilities} vulnerabilities, `;
+          if (result.active !== undefined) summary += `${result.active.length} active, ${result.unused.length} unused, ${result.invalid.length} unjustified, `;
           
           summary = summary.replace(/, $/, '') || 'completed';
           
-          console.log(`  ${status} ${analyzer.charAt(0).toUpperCase() + analyzer.slice(1)}: ${summary}`);
+          logger.log(`  ${status} ${analyzer.charAt(0).toUpperCase() + analyzer.slice(1)}: ${summary}`);
         });
       }
       
+      if (results.severityFilter && results.severityFilter.suppressed > 0) {
+        const { minSeverity, suppressed, byAnalyzer } = results.severityFilter;
+        const breakdown = Object.entries(byAnalyzer).map(([analyzer, count]) => `${analyzer}: ${count}`).join(', ');
+        log.info(`${suppressed} findings below ${minSeverity} severity hidden (${breakdown})`);
+      }
+      
+      if (results.changedFiles) {
+        const { since, files, lines, outOfScope } = results.changedFiles;
+        log.info(`${files.length} file(s) ${since ? `changed since ${since}` : 'staged'} analyzed; ${outOfScope} findings outside the changed ${lines ? 'lines' : 'files'} not counted`);
+      }
+      
+      if (results.baseline) {
+        log.info(`${results.baseline.baselined} baselined findings not counted (${results.baseline.file}); only new findings are scored`);
+      }
+      
       // Show AI Analysis if available
       if (results.reports && results.reports.aiAnalysis) {
-        console.log('\n🤖 AI Code Analysis Results:');
+        logger.log('\n🤖 AI Code Analysis Results:');
         const aiAnalysis = results.reports.aiAnalysis;
         
         if (aiAnalysis.summary.totalIssues > 0) {
-          console.log(`  🔴 Critical Issues: ${aiAnalysis.summary.criticalIssues}`);
-          console.log(`  🟡 Code Improvements: ${aiAnalysis.summary.codeImprovements}`);
-          console.log(`  🔒 Security Fixes: ${aiAnalysis.summary.securityFixes}`);
+          logger.log(`  🔴 Critical Issues: ${aiAnalysis.summary.criticalIssues}`);
+          logger.log(`  🟡 Code Improvements: ${aiAnalysis.summary.codeImprovements}`);
+          logger.log(`  🔒 Security Fixes: ${aiAnalysis.summary.securityFixes}`);
         }
         
         if (aiAnalysis.summary.totalSuggestions > 0) {
-          console.log(`  🧪 Test Suggestions: ${aiAnalysis.summary.testSuggestions}`);
-          console.log(`  ♻️  Refactoring Suggestions: ${aiAnalysis.summary.refactoringSuggestions}`);
+          logger.log(`  🧪 Test Suggestions: ${aiAnalysis.summary.testSuggestions}`);
+          logger.log(`  ♻️  Refactoring Suggestions: ${aiAnalysis.summary.refactoringSuggestions}`);
         }
         
         if (aiAnalysis.recommendations.length > 0) {
-          console.log(`  💡 Recommendations: ${aiAnalysis.recommendations.length}`);
+          logger.log(`  💡 Recommendations: ${aiAnalysis.recommendations.length}`);
           
           // Show top 3 recommendations
           aiAnalysis.recommendations.slice(0, 3).forEach((rec, index) => {
             const priority = rec.priority === 'CRITICAL' ? '🔴' : rec.priority === 'HIGH' ? '🟠' : '🟡';
-            console.log(`    ${priority} ${rec.category}: ${rec.issue}`);
-            console.log(`       → ${rec.suggestion}`);
+            logger.log(`    ${priority} ${rec.category}: ${rec.issue}`);
+            logger.log(`       → ${rec.suggestion}`);
             if (rec.action) {
-              console.log(`       → Action: ${rec.action}`);
+              logger.log(`       → Action: ${rec.action}`);
             }
           });
         }
         
-        console.log(`  📊 Priority Level: ${aiAnalysis.summary.priority}`);
+        logger.log(`  📊 Priority Level: ${aiAnalysis.summary.priority}`);
       }
       
       // Show reports
       if (results.reports && Object.keys(results.reports).length > 0) {
-        console.log('\n📊 Reports Generated:');
+        logger.log('\n📊 Reports Generated:');
         Object.entries(results.reports).forEach(([type, report]) => {
-          if (report.path) {
-            console.log(`  📄 ${type.toUpperCase()}: ${report.path}`);
+          if (report && report.path) {
+            logger.log(`  📄 ${type.toUpperCase()}: ${report.path}`);
           }
         });
       }
       
-      // Exit with appropriate code
-      if (score < 60) {
-        log.warning('Quality score is below 60%. Consider addressing critical issues.');
-        process.exit(1);
+      // Exit code follows the quality gate policy
+      const gate = results.qualityGate;
+      printQualityGate(gate);
+      
+      // --fail-on blocks on any reported finding at or above a severity, whatever the exit policy;
+      // it exits with its own code so callers such as the git hooks can tell a block from a failed run
+      if (failOn) {
+        const minimums = {};
+        Object.entries(failOn.analyzers).forEach(([name, severity]) => {
+          const analyzer = tool.analyzerRegistry.get(name);
+          if (analyzer) {
+            minimums[analyzer.key] = severity;
+          } else {
+            log.warning(`Unknown analyzer in --fail-on: ${name}`);
+          }
+        });
+        
+        const blocking = flattenFindings(results.findings).filter(finding => {
+          const minimum = minimums[finding.analyzer] || failOn.severity;
+          return minimum && meetsSeverity(finding.severity, minimum);
+        });
+        if (blocking.length > 0) {
+          log.error(`${blocking.length} finding(s) at or above the --fail-on severity (${options.failOn}):`);
+          blocking.slice(0, 20).forEach(finding => logger.log(chalk.red(`  ${formatLocation(finding)} [${finding.ruleId}] ${finding.message}`)));
+          process.exit(QualityGate.FAIL_ON_EXIT_CODE);
+        }
+      }
+      
+      if (gate.exitCode !== 0) {
+        if (gate.policy === 'score') {
+          log.error(`Quality score is below ${gate.minScore}%. Consider addressing critical issues.`);
+        } else {
+          log.error(`Quality gate failed: ${gate.failed} threshold(s) breached.`);
+        }
+        process.exit(gate.exitCode);
+      } else if (!gate.passed) {
+        log.warning(`Quality gate failed: ${gate.failed} threshold(s) breached (not enforced by the ${gate.policy} exit policy).`);
       } else if (score < 80) {
         log.warning('Quality score could be improved. Check the generated reports.');
       } else {
@@ -383,6 +594,41 @@ program
         console.log(`AI Integration: ${summary.aiEnabled ? '✅ Enabled' : '❌ Disabled'}`);
         console.log(`Severity Level: ${summary.severity}`);
         
+        // Effective rules with the layer each field came from
+        const { rules, origins } = tool.configManager.getRules();
+        const disabled = Object.entries(origins).filter(([, origin]) => !origin.enabled);
+        if (rules.length > 0 || disabled.length > 0) {
+          console.log(chalk.bold.blue(`\n📏 Effective Rules (${rules.length}${disabled.length > 0 ? `, ${disabled.length} disabled` : ''}):`));
+        }
+        rules.forEach(rule => {
+          const origin = origins[rule.id];
+          console.log(`  📋 ${chalk.bold(rule.id)}  ${chalk.gray(`from ${RuleResolver.formatSource(origin)}`)}`);
+          if (!origin || origin.overrides.length === 0) return;
+          
+          const overridden = Object.entries(origin.fields)
+            .filter(([, fieldOrigin]) => fieldOrigin.type !== origin.type || fieldOrigin.name !== origin.name);
+          overridden.forEach(([field, fieldOrigin]) => {
+            const value = JSON.stringify(rule[field]);
+            console.log(`     ${field}: ${value.length > 60 ? value.slice(0, 57) + '...' : value} ${chalk.gray(`← ${RuleResolver.formatSource(fieldOrigin)}`)}`);
+          });
+        });
+        disabled.forEach(([id, origin]) => {
+          console.log(chalk.gray(`  ⬜ ${id}  disabled by ${RuleResolver.formatSource(origin.fields.enabled)} (from ${RuleResolver.formatSource(origin)})`));
+        });
+
+        // Per-path overrides, in the order they apply (later blocks win)
+        const overrides = new ConfigOverrides(tool.configManager.getOverrides()).overrides;
+        if (overrides.length > 0) {
+          console.log(chalk.bold.blue(`\n📂 Overrides (${overrides.length}):`));
+        }
+        overrides.forEach(override => {
+          const excluded = (override.excludedFiles || []).length > 0 ? chalk.gray(` (except ${override.excludedFiles.join(', ')})`) : '';
+          console.log(`  📂 ${chalk.bold(ConfigOverrides.describe(override))}${excluded}`);
+          Object.entries(override.rules || {}).forEach(([id, setting]) => console.log(`     ${id}: ${setting}`));
+          if (override.analyzers) console.log(`     analyzers: ${override.analyzers.join(', ') || 'none'}`);
+          if (override.thresholds) console.log(`     thresholds: ${JSON.stringify(override.thresholds)}`);
+        });
+
       } else if (options.validate) {
         // Validate configuration
         const validation = tool.configManager.validateConfig();
@@ -425,30 +671,97 @@ program
 
 // Rules command
 program
-  .command('rules')
-  .description('Manage custom rules')
+  .command('rules [action] [file]')
+  .description('Manage custom rules; "rules which <file>" shows which configured rules apply to a file and why, "rules test [rules.json]" checks rules against their examples and tests')
   .option('-l, --list', 'List all rules')
-  .option('-v, --validate', 'Validate rules file')
+  .option('-v, --validate', 'Validate the configured rules')
   .option('-s, --stats', 'Show rules statistics')
-  .action(async (options) => {
+  .action(async (action, file, options) => {
     try {
-      const rulesFile = path.join(process.cwd(), 'code-review-rules.json');
+      if (action === 'which') {
+        if (!file) {
+          log.error('Usage: self-serve-review rules which <file>');
+          process.exit(1);
+        }
+        
+        const tool = new CodeReviewTool({ projectRoot: process.cwd() });
+        await tool.configManager.loadConfig();
+        const ruleEngine = new RuleEngine(tool.configManager.getRules());
+        const relativePath = path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+        const explained = ruleEngine.rules.map(rule => ({ rule, ...ruleEngine.explainRuleForFile(rule, relativePath) }));
+        const applied = explained.filter(entry => entry.applies);
+        const idWidth = Math.max(10, ...explained.map(entry => entry.rule.id.length));
+        
+        console.log(chalk.bold.blue(`📏 Rules for ${relativePath} (${applied.length} of ${explained.length} apply):`));
+        applied.concat(explained.filter(entry => !entry.applies)).forEach(entry => {
+          const line = `  ${entry.applies ? '✅' : '⬜'} ${entry.rule.id.padEnd(idWidth)}  ${entry.reason}`;
+          console.log(entry.applies ? line : chalk.gray(line));
+        });
+        return;
+      }
       
-      if (!fs.existsSync(rulesFile)) {
-        log.warning('No custom rules file found (code-review-rules.json)');
+      if (action === 'test') {
+        let ruleEngine;
+        if (file) {
+          ruleEngine = RuleEngine.loadFromFile(path.resolve(file));
+        } else {
+          const tool = new CodeReviewTool({ projectRoot: process.cwd() });
+          await tool.configManager.loadConfig();
+          ruleEngine = new RuleEngine(tool.configManager.getRules());
+        }
+        
+        const testRun = ruleEngine.testRules();
+        const labels = { 'false-negative': 'false negative (not reported)', 'false-positive': 'false positive (reported)' };
+        
+        console.log(chalk.bold.blue(`🧪 Testing ${testRun.stats.totalRules} rules against ${testRun.stats.totalCases} examples and tests:`));
+        testRun.rules.forEach(result => {
+          if (!result.tested) {
+            console.log(chalk.gray(`  ⬜ ${result.id}  no examples or tests`));
+            return;
+          }
+          
+          console.log(`  ${result.passed ? '✅' : '❌'} ${result.id}  ${result.cases.filter(testCase => testCase.passed).length}/${result.cases.length} passed`);
+          result.cases.filter(testCase => !testCase.passed).forEach(testCase => {
+            const expected = testCase.expect === true ? 'at least 1' : Number(testCase.expect);
+            const code = testCase.code.split('\n')[0];
+            console.log(chalk.red(`       ${testCase.source}: ${labels[testCase.failure]}, ${testCase.violations} violation(s), expected ${expected}`));
+            console.log(chalk.gray(`         ${code.length > 80 ? code.slice(0, 77) + '...' : code}`));
+          });
+        });
+        
+        const { stats } = testRun;
+        console.log(`\n📊 ${stats.testedRules - stats.failedRules}/${stats.testedRules} tested rules passed, ` +
+          `${stats.falsePositives} false positive(s), ${stats.falseNegatives} false negative(s), ${stats.totalRules - stats.testedRules} untested`);
+        
+        if (!testRun.passed) {
+          process.exit(1);
+        }
         return;
       }
       
-      const ruleEngine = RuleEngine.loadFromFile(rulesFile);
+      if (action) {
+        log.error(`Unknown rules action: ${action}. Use "rules which <file>", "rules test [rules.json]" or the --list, --validate and --stats options`);
+        process.exit(1);
+      }
+      
+      // The same rules analyze uses: template, rules files and inline config rules
+      const tool = new CodeReviewTool({ projectRoot: process.cwd() });
+      await tool.configManager.loadConfig();
+      const ruleEngine = new RuleEngine(tool.configManager.getRules());
+      
+      if (ruleEngine.rules.length === 0) {
+        log.warning(`No custom rules configured (extend a template, or add ${RuleResolver.RULES_FILE}, ruleFiles or inline rules)`);
+        return;
+      }
       
       if (options.validate) {
         // Validate rules
         const validation = ruleEngine.validateRules();
         
         if (validation.valid) {
-          log.success('Rules file is valid!');
+          log.success('Rules are valid!');
         } else {
-          log.error('Rules file has errors:');
+          log.error('Rules have errors:');
           validation.errors.forEach(error => console.log(`  ❌ ${error}`));
         }
         
@@ -488,6 +801,11 @@ program
           console.log(`  ${category}: ${count} rules`);
         });
         
+        console.log('\n📄 By Origin:');
+        Object.entries(summary.originBreakdown).forEach(([origin, count]) => {
+          console.log(`  ${origin}: ${count} rules`);
+        });
+        
       } else {
         // List rules (default)
         const rules = ruleEngine.rules;
@@ -505,7 +823,7 @@ program
           
           console.log(`\n  📋 ${chalk.bold(rule.id)}`);
           console.log(`     ${rule.description}`);
-          console.log(`     ${chalk[severityColor](rule.severity)} | ${rule.category}`);
+          console.log(`     ${chalk[severityColor](rule.severity)} | ${rule.category} | ${chalk.gray(RuleResolver.formatOrigin(ruleEngine.getRuleOrigin(rule.id)))}`);
         });
       }
       
@@ -515,6 +833,173 @@ program
     }
   });
 
+// Fix command
+program
+  .command('fix')
+  .description('Apply the fixes of custom rules that define a "fix" block, then re-check the fixed rules')
+  .option('-r, --rule <ids>', 'Comma-separated rule IDs to fix (default: every rule with a fix)')
+  .option('--dry-run', 'Print a unified diff instead of changing files')
+  .action(async (options) => {
+    try {
+      const tool = new CodeReviewTool({ projectRoot: process.cwd() });
+      await tool.configManager.loadConfig();
+      const ruleEngine = new RuleEngine(tool.configManager.getRules());
+      const ruleIds = options.rule ? options.rule.split(',').map(id => id.trim()).filter(Boolean) : null;
+      
+      if (ruleIds) {
+        const unknown = ruleIds.filter(id => !ruleEngine.rules.some(rule => rule.id === id));
+        const unfixable = ruleIds.filter(id => ruleEngine.rules.some(rule => rule.id === id && !rule.fix));
+        if (unknown.length > 0 || unfixable.length > 0) {
+          if (unknown.length > 0) log.error(`Unknown rule(s): ${unknown.join(', ')}`);
+          if (unfixable.length > 0) log.error(`Rule(s) without a fix: ${unfixable.join(', ')}`);
+          process.exit(1);
+        }
+      }
+      
+      const fixer = new RuleFixer(process.cwd(), ruleEngine, { rules: ruleIds, dryRun: options.dryRun });
+      if (fixer.rules.length === 0) {
+        log.warning('No configured rules define a fix');
+        return;
+      }
+      
+      const results = fixer.fixFiles(FileWalker.fromConfig(tool.configManager).getFiles());
+      const applied = results.reduce((sum, result) => sum + result.applied.length, 0);
+      const skipped = results.reduce((sum, result) => sum + result.skipped.length, 0);
+      const remaining = results.reduce((sum, result) => sum + result.remaining.length, 0);
+      
+      results.forEach(result => {
+        if (options.dryRun) {
+          result.diff.split('\n').filter(Boolean).forEach(line => {
+            const color = line.startsWith('+') ? 'green' : line.startsWith('-') ? 'red' : line.startsWith('@@') ? 'cyan' : 'reset';
+            console.log(chalk[color](line));
+          });
+        } else if (result.applied.length > 0) {
+          const counts = {};
+          result.applied.forEach(edit => { counts[edit.rule.id] = (counts[edit.rule.id] || 0) + 1; });
+          console.log(`  🔧 ${result.file}: ${Object.entries(counts).map(([id, count]) => `${id} ×${count}`).join(', ')}`);
+        }
+        if (result.skipped.length > 0) {
+          log.warning(`${result.file}: ${result.skipped.length} overlapping fix(es) skipped (${[...new Set(result.skipped.map(edit => edit.rule.id))].join(', ')})`);
+        }
+      });
+      
+      if (applied === 0) {
+        log.success('Nothing to fix');
+        return;
+      }
+      
+      const fileCount = results.filter(result => result.applied.length > 0).length;
+      if (options.dryRun) {
+        log.info(`Dry run: ${applied} fix(es) in ${fileCount} file(s) would be applied, no files were changed`);
+      } else {
+        log.success(`Applied ${applied} fix(es) in ${fileCount} file(s)`);
+      }
+      
+      if (remaining === 0) {
+        log.success('Re-check: the fixed rules report no violations in the fixed files');
+      } else {
+        log.warning(`Re-check: ${remaining} violation(s) of the fixed rules remain${skipped > 0 ? '; run fix again to apply the skipped fixes' : ''}`);
+      }
+      
+    } catch (error) {
+      log.error(`Fix failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Compare command
+program
+  .command('compare <previous> <current>')
+  .description('Compare two JSON reports (e.g. of two releases) by finding fingerprint and score')
+  .option('-f, --format <format>', `Output format: ${ReportComparison.COMPARE_FORMATS.join(', ')}`, 'terminal')
+  .option('-o, --output <file>', 'Write the markdown or json comparison to a file instead of stdout')
+  .action((previous, current, options) => {
+    try {
+      if (!ReportComparison.COMPARE_FORMATS.includes(options.format)) {
+        log.error(`Invalid format: ${options.format} (available: ${ReportComparison.COMPARE_FORMATS.join(', ')})`);
+        process.exit(1);
+      }
+      
+      const comparison = ReportComparison.fromFiles(path.resolve(previous), path.resolve(current));
+      
+      if (options.format === 'terminal') {
+        printComparison(comparison.compare());
+        return;
+      }
+      
+      const content = options.format === 'json'
+        ? JSON.stringify(comparison.toJSON(), null, 2) + '\n'
+        : comparison.toMarkdown();
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, content);
+        log.success(`Comparison written to ${options.output}`);
+      } else {
+        process.stdout.write(content);
+      }
+      
+    } catch (error) {
+      log.error(`Comparison failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Hooks command
+program
+  .command('hooks <action>')
+  .description('Install, uninstall or show the git hooks that block commits and pushes on CRITICAL custom rule and ERROR bug detection findings (install, uninstall, status)')
+  .option('--hooks <hooks>', `Comma-separated hooks to install or uninstall (${GitHooks.HOOKS.join(', ')})`, GitHooks.HOOKS.join(','))
+  .action((action, options) => {
+    try {
+      const gitHooks = new GitHooks(process.cwd());
+      const hooks = options.hooks.split(',').map(hook => hook.trim()).filter(Boolean);
+      const unknown = hooks.filter(hook => !GitHooks.HOOKS.includes(hook));
+      
+      if (unknown.length > 0) {
+        log.error(`Unknown hook(s): ${unknown.join(', ')}. Available hooks: ${GitHooks.HOOKS.join(', ')}`);
+        process.exit(1);
+      }
+      
+      switch (action) {
+        case 'install': {
+          const messages = { created: 'installed', added: 'added to the existing hook', updated: 'updated' };
+          gitHooks.install(hooks).forEach(result => log.success(`${result.hook}: ${messages[result.action]} (${result.path})`));
+          log.info('Commits and pushes with CRITICAL custom rule or ERROR bug detection findings are now blocked.');
+          log.info('Skip the check once with "git commit --no-verify" or "git push --no-verify".');
+          break;
+        }
+        
+        case 'uninstall': {
+          const messages = { removed: 'removed', stripped: 'removed from the shared hook', 'not-installed': 'not installed' };
+          gitHooks.uninstall(hooks).forEach(result => {
+            const message = `${result.hook}: ${messages[result.action]} (${result.path})`;
+            result.action === 'not-installed' ? log.info(message) : log.success(message);
+          });
+          break;
+        }
+        
+        case 'status': {
+          console.log(chalk.bold.blue(`🪝 Git hooks in ${gitHooks.getHooksDir()}:`));
+          gitHooks.status().forEach(entry => {
+            const state = !entry.installed ? chalk.gray('not installed')
+              : !entry.executable ? chalk.yellow('installed but not executable')
+              : chalk.green(entry.shared ? 'installed (shared with other commands)' : 'installed');
+            console.log(`  ${entry.installed ? '✅' : '⬜'} ${entry.hook.padEnd(10)} ${state}`);
+          });
+          break;
+        }
+        
+        default:
+          log.error(`Unknown action: ${action}. Use install, uninstall or status`);
+          process.exit(1);
+      }
+      
+    } catch (error) {
+      log.error(`Hooks operation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Error handling
 program.on('command:*', () => {
   log.error(`Invalid command: ${program.args.join(' ')}`);
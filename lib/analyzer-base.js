@@ -1,6 +1,10 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { flattenFindings, formatLocation } = require('./findings');
+const FileWalker = require('./file-walker');
+const ConfigOverrides = require('./config-overrides');
+const logger = require('./logger');
 
 /**
  * Base analyzer class - contains all the analysis methods extracted from quality-check.js
@@ -10,13 +14,15 @@ class AnalyzerBase {
     this.config = configManager;
     this.projectRoot = configManager.projectRoot || process.cwd();
     this.results = {};
+    // ChangedFiles for --since / --staged runs; null analyzes every file
+    this.changedFiles = null;
   }
 
   /**
    * Run a command and return results
    */
   async runCommand(command, description) {
-    console.log(`  🔍 ${description}...`);
+    logger.log(`  🔍 ${description}...`);
     
     try {
       const output = execSync(command, { 
@@ -39,7 +45,7 @@ class AnalyzerBase {
    * ESLint analysis - extracted from quality-check.js
    */
   async checkESLint() {
-    console.log('📋 ESLint Code Quality Analysis');
+    logger.log('📋 ESLint Code Quality Analysis');
     
     // Check if ESLint config exists
     const eslintConfigs = ['.eslintrc.js', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml'];
@@ -55,15 +61,23 @@ class AnalyzerBase {
       };
     }
 
+    // Lint the same files as every other analyzer (include, extensions, ignore, --since / --staged)
+    const files = this.getScopedSourceFiles('eslint');
+    if (files.length === 0) {
+      logger.log('✅ ESLint: No files to lint');
+      return { success: true, passed: true, issues: 0, errors: 0, warnings: 0, details: [], rawOutput: '' };
+    }
+    const targets = files.map(file => AnalyzerBase.shellQuote(path.relative(this.projectRoot, file))).join(' ');
+
     // Try JSON format first
     const jsonResult = await this.runCommand(
-      'npx eslint src --ext .ts,.js --format json',
+      `npx eslint --format json ${targets}`,
       'ESLint analysis with JSON output'
     );
 
     // Also get regular format for readable errors
     const regularResult = await this.runCommand(
-      'npx eslint src --ext .ts,.js',
+      `npx eslint ${targets}`,
       'ESLint analysis with regular output'
     );
 
@@ -86,6 +100,8 @@ class AnalyzerBase {
               file: file.filePath.replace(this.projectRoot, ''),
               line: msg.line,
               column: msg.column,
+              endLine: msg.endLine,
+              endColumn: msg.endColumn,
               severity: msg.severity === 2 ? 'error' : 'warning',
               rule: msg.ruleId,
               message: msg.message
@@ -108,9 +124,9 @@ class AnalyzerBase {
     };
 
     if (totalErrors === 0 && totalWarnings === 0) {
-      console.log('✅ ESLint: No issues found!');
+      logger.log('✅ ESLint: No issues found!');
     } else {
-      console.log(`⚠️  ESLint: ${totalErrors} errors, ${totalWarnings} warnings`);
+      logger.log(`⚠️  ESLint: ${totalErrors} errors, ${totalWarnings} warnings`);
     }
 
     return result;
@@ -120,7 +136,7 @@ class AnalyzerBase {
    * TypeScript analysis
    */
   async checkTypeScript() {
-    console.log('📋 TypeScript Type Checking');
+    logger.log('📋 TypeScript Type Checking');
     
     // Check if tsconfig.json exists
     if (!fs.existsSync(path.join(this.projectRoot, 'tsconfig.json'))) {
@@ -166,9 +182,9 @@ class AnalyzerBase {
     };
 
     if (!hasErrors) {
-      console.log('✅ TypeScript: No type errors found!');
+      logger.log('✅ TypeScript: No type errors found!');
     } else {
-      console.log(`❌ TypeScript: ${errors.length} type errors found`);
+      logger.log(`❌ TypeScript: ${errors.length} type errors found`);
     }
 
     return tsResult;
@@ -178,7 +194,7 @@ class AnalyzerBase {
    * Security vulnerability scan
    */
   async checkSecurity() {
-    console.log('📋 Security Vulnerability Scan');
+    logger.log('📋 Security Vulnerability Scan');
     
     const result = await this.runCommand(
       'npm audit --audit-level=high --json',
@@ -221,9 +237,9 @@ class AnalyzerBase {
     };
 
     if (vulnerabilities === 0) {
-      console.log('✅ Security: No vulnerabilities found!');
+      logger.log('✅ Security: No vulnerabilities found!');
     } else {
-      console.log(`⚠️  Security: ${vulnerabilities} vulnerabilities found`);
+      logger.log(`⚠️  Security: ${vulnerabilities} vulnerabilities found`);
     }
 
     return securityResult;
@@ -233,7 +249,7 @@ class AnalyzerBase {
    * Test coverage analysis
    */
   async checkTests() {
-    console.log('📋 Test Coverage Analysis');
+    logger.log('📋 Test Coverage Analysis');
     
     // Check if Jest is configured
     const jestConfigs = ['jest.config.js', 'jest.config.json', 'package.json'];
@@ -343,9 +359,9 @@ class AnalyzerBase {
     };
 
     if (coverage === 0) {
-      console.log('⚠️  No test directories found');
+      logger.log('⚠️  No test directories found');
     } else {
-      console.log(`📊 Test Coverage: ${coverage}%`);
+      logger.log(`📊 Test Coverage: ${coverage}%`);
     }
 
     return testResult;
@@ -355,16 +371,11 @@ class AnalyzerBase {
    * Analyze which features are missing tests
    */
   async analyzeFeatureTestCoverage() {
-    const srcDir = path.join(this.projectRoot, 'src');
     const testDirs = ['__tests__', 'tests', 'test'].map(dir => 
       path.join(this.projectRoot, dir)
     );
 
-    if (!fs.existsSync(srcDir)) {
-      return [];
-    }
-
-    const sourceFiles = this.getSourceFiles(srcDir);
+    const sourceFiles = this.getSourceFiles();
     const testFiles = new Set();
 
     // Collect all test files
@@ -397,28 +408,54 @@ class AnalyzerBase {
   }
 
   /**
-   * Get all source files recursively
+   * Source files to analyze: all of them, or only the changed ones in a --since / --staged run;
+   * with an analyzer name, files whose `overrides` block leaves that analyzer out are skipped
    */
-  getSourceFiles(dir) {
-    const files = [];
-    
-    const walkDir = (currentDir) => {
-      const items = fs.readdirSync(currentDir);
-      
-      for (const item of items) {
-        const fullPath = path.join(currentDir, item);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory() && !item.startsWith('.')) {
-          walkDir(fullPath);
-        } else if (item.endsWith('.ts') && !item.endsWith('.d.ts')) {
-          files.push(fullPath);
-        }
-      }
-    };
+  getScopedSourceFiles(analyzer = null) {
+    let files = this.getSourceFiles();
+    if (this.changedFiles) {
+      files = files.filter(file => this.changedFiles.includes(path.relative(this.projectRoot, file)));
+    }
+    if (!analyzer) return files;
 
-    walkDir(dir);
-    return files;
+    const overrides = ConfigOverrides.fromConfig(this.config);
+    return files.filter(file => overrides.isAnalyzerEnabled(analyzer, path.relative(this.projectRoot, file)));
+  }
+
+  /**
+   * Content of a source file: the staged or committed version in a --staged or commit range run,
+   * otherwise the working tree copy
+   */
+  readSourceFile(file) {
+    const content = this.changedFiles && this.changedFiles.readFile(path.relative(this.projectRoot, file));
+    return typeof content === 'string' ? content : fs.readFileSync(file, 'utf8');
+  }
+
+  /**
+   * Quote a command argument for the shell
+   */
+  static shellQuote(arg) {
+    return `'${String(arg).replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * 1-based line and column of an offset in a file's content
+   */
+  getPosition(content, offset) {
+    const before = content.substring(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  /**
+   * Project source files (`include` globs and `extensions`, minus `ignore` patterns and .gitignore),
+   * optionally only those below a directory
+   */
+  getSourceFiles(dir = null) {
+    const files = FileWalker.fromConfig(this.config).getFiles();
+    if (!dir) return files;
+
+    const prefix = path.resolve(dir) + path.sep;
+    return files.filter(file => file.startsWith(prefix));
   }
 
   /**
@@ -528,18 +565,17 @@ class AnalyzerBase {
    * Code complexity analysis
    */
   async analyzeComplexity() {
-    console.log('📋 Code Complexity Analysis');
+    logger.log('📋 Code Complexity Analysis');
     
     // Simple complexity analysis - count functions and their length
-    const srcDir = path.join(this.projectRoot, 'src');
-    if (!fs.existsSync(srcDir)) {
+    const sourceFiles = this.getSourceFiles();
+    if (sourceFiles.length === 0) {
       return {
         success: false,
-        error: 'No src directory found'
+        error: 'No source files found (check include and extensions)'
       };
     }
 
-    const sourceFiles = this.getSourceFiles(srcDir);
     const complexityIssues = [];
     let totalFunctions = 0;
     let complexFunctions = 0;
@@ -576,6 +612,7 @@ class AnalyzerBase {
                 complexityIssues.push({
                   file: path.relative(this.projectRoot, file),
                   line: functionStart + 1,
+                  endLine: index + 1,
                   length: functionLength,
                   issue: 'Function too long (>50 lines)'
                 });
@@ -601,9 +638,9 @@ class AnalyzerBase {
     };
 
     if (complexFunctions === 0) {
-      console.log('✅ Complexity: All functions within acceptable limits');
+      logger.log('✅ Complexity: All functions within acceptable limits');
     } else {
-      console.log(`⚠️  Complexity: ${complexFunctions} functions may be too complex`);
+      logger.log(`⚠️  Complexity: ${complexFunctions} functions may be too complex`);
     }
 
     return result;
@@ -613,7 +650,7 @@ class AnalyzerBase {
    * Custom rules analysis
    */
   async checkCustomRules(ruleEngine) {
-    console.log('📋 Custom Rules Analysis');
+    logger.log('📋 Custom Rules Analysis');
     
     if (!ruleEngine || !ruleEngine.rules || ruleEngine.rules.length === 0) {
       return {
@@ -623,38 +660,32 @@ class AnalyzerBase {
     }
 
     const violations = [];
-    const sourceFiles = this.getSourceFiles(path.join(this.projectRoot, 'src'));
+    const sourceFiles = this.getScopedSourceFiles('custom-rules');
 
     // Analyze each file against custom rules
     sourceFiles.forEach(file => {
       const relativePath = path.relative(this.projectRoot, file);
-      const rulesForFile = ruleEngine.getRulesForFile(relativePath);
       
       try {
-        const content = fs.readFileSync(file, 'utf8');
-        const lines = content.split('\n');
+        const content = this.readSourceFile(file);
 
-        rulesForFile.forEach(rule => {
-          try {
-            const regex = new RegExp(rule.pattern, 'gm');
-            let match;
-            
-            while ((match = regex.exec(content)) !== null) {
-              const lineNumber = content.substring(0, match.index).split('\n').length;
-              
-              violations.push({
-                file: relativePath,
-                line: lineNumber,
-                rule: rule.id,
-                severity: rule.severity,
-                message: rule.description,
-                suggestion: rule.suggestion,
-                matchedText: match[0]
-              });
-            }
-          } catch (regexError) {
-            console.warn(`⚠️  Invalid regex in rule ${rule.id}: ${regexError.message}`);
-          }
+        ruleEngine.matchFile(relativePath, content).forEach(({ rule, start, end, text }) => {
+          const startPosition = this.getPosition(content, start);
+          const endPosition = this.getPosition(content, end);
+
+          violations.push({
+            file: relativePath,
+            line: startPosition.line,
+            column: startPosition.column,
+            endLine: endPosition.line,
+            endColumn: endPosition.column,
+            rule: rule.id,
+            category: rule.category,
+            severity: rule.severity,
+            message: rule.description,
+            suggestion: rule.suggestion,
+            matchedText: text
+          });
         });
       } catch (error) {
         console.warn(`⚠️  Could not analyze ${file}: ${error.message}`);
@@ -669,9 +700,9 @@ class AnalyzerBase {
     };
 
     if (violations.length === 0) {
-      console.log('✅ Custom Rules: No violations found!');
+      logger.log('✅ Custom Rules: No violations found!');
     } else {
-      console.log(`⚠️  Custom Rules: ${violations.length} violations found`);
+      logger.log(`⚠️  Custom Rules: ${violations.length} violations found`);
     }
 
     return result;
@@ -681,7 +712,7 @@ class AnalyzerBase {
    * Dependency Analysis - Check for circular dependencies, outdated packages, security issues
    */
   async checkDependencies() {
-    console.log('📦 Dependency Analysis');
+    logger.log('📦 Dependency Analysis');
     
     const results = {
       circularDependencies: { success: false, issues: [] },
@@ -742,7 +773,7 @@ class AnalyzerBase {
    * Code Coverage Analysis - Run tests and analyze coverage
    */
   async checkCoverage() {
-    console.log('📊 Code Coverage Analysis');
+    logger.log('📊 Code Coverage Analysis');
     
     const results = {
       success: false,
@@ -805,13 +836,13 @@ class AnalyzerBase {
         // If no coverage data found, try to parse from Jest output
         if (!results.success && coverageResult.output) {
           try {
-            console.log('🔍 Parsing Jest output for coverage...');
-            console.log('Output preview:', coverageResult.output.substring(0, 500));
+            logger.log('🔍 Parsing Jest output for coverage...');
+            logger.log('Output preview:', coverageResult.output.substring(0, 500));
             
             // Look for coverage percentage in Jest output table - improved regex
             const coverageMatch = coverageResult.output.match(/All files\s+\|\s+(\d+\.?\d*)\s+\|\s+(\d+\.?\d*)\s+\|\s+(\d+\.?\d*)\s+\|\s+(\d+\.?\d*)/);
             if (coverageMatch) {
-              console.log('✅ Found coverage match:', coverageMatch[1], coverageMatch[2], coverageMatch[3], coverageMatch[4]);
+              logger.log('✅ Found coverage match:', coverageMatch[1], coverageMatch[2], coverageMatch[3], coverageMatch[4]);
               results.coverage = {
                 statements: parseFloat(coverageMatch[1]),
                 branches: parseFloat(coverageMatch[2]),
@@ -823,7 +854,7 @@ class AnalyzerBase {
               // Fallback: look for any percentage in output
               const percentageMatch = coverageResult.output.match(/(\d+\.?\d*)%/);
               if (percentageMatch) {
-                console.log('✅ Found percentage match:', percentageMatch[1]);
+                logger.log('✅ Found percentage match:', percentageMatch[1]);
                 const coverage = parseFloat(percentageMatch[1]);
                 results.coverage = {
                   statements: coverage,
@@ -833,7 +864,7 @@ class AnalyzerBase {
                 };
                 results.success = true;
               } else {
-                console.log('❌ No coverage pattern found in output');
+                logger.log('❌ No coverage pattern found in output');
               }
             }
           } catch (parseError) {
@@ -847,10 +878,10 @@ class AnalyzerBase {
           const summaryFileCoverage = coverageData.total.statements.pct;
           
           if (Math.abs(jestOutputCoverage - summaryFileCoverage) > 5) {
-            console.log('⚠️  Coverage discrepancy detected:');
-            console.log(`   Jest output: ${jestOutputCoverage}%`);
-            console.log(`   Summary file: ${summaryFileCoverage}%`);
-            console.log('   Using Jest output as it reflects actual test execution');
+            logger.log('⚠️  Coverage discrepancy detected:');
+            logger.log(`   Jest output: ${jestOutputCoverage}%`);
+            logger.log(`   Summary file: ${summaryFileCoverage}%`);
+            logger.log('   Using Jest output as it reflects actual test execution');
             
             // Use Jest output as the authoritative source
             results.coverage = {
@@ -879,7 +910,7 @@ class AnalyzerBase {
    * Performance Analysis - Check bundle size, performance patterns
    */
   async checkPerformance() {
-    console.log('⚡ Performance Analysis');
+    logger.log('⚡ Performance Analysis');
     
     const results = {
       bundleSize: { success: false, size: 0 },
@@ -902,10 +933,10 @@ class AnalyzerBase {
     }
 
     // Check for performance anti-patterns
-    const sourceFiles = this.getSourceFiles(path.join(this.projectRoot, 'src'));
+    const sourceFiles = this.getScopedSourceFiles('performance');
     sourceFiles.forEach(file => {
       try {
-        const content = fs.readFileSync(file, 'utf8');
+        const content = this.readSourceFile(file);
         
         // Check for synchronous operations
         if (content.includes('fs.readFileSync') || content.includes('fs.writeFileSync')) {
@@ -951,7 +982,7 @@ class AnalyzerBase {
    * Architecture Analysis - Check for architectural patterns and anti-patterns
    */
   async checkArchitecture() {
-    console.log('🏗️ Architecture Analysis');
+    logger.log('🏗️ Architecture Analysis');
     
     const results = {
       patterns: [],
@@ -959,11 +990,11 @@ class AnalyzerBase {
       recommendations: []
     };
 
-    const sourceFiles = this.getSourceFiles(path.join(this.projectRoot, 'src'));
+    const sourceFiles = this.getScopedSourceFiles('architecture');
     
     sourceFiles.forEach(file => {
       try {
-        const content = fs.readFileSync(file, 'utf8');
+        const content = this.readSourceFile(file);
         const relativePath = path.relative(this.projectRoot, file);
         
         // Check for proper error handling patterns
@@ -1008,7 +1039,7 @@ class AnalyzerBase {
    * Bug Detection Analysis - Advanced bug detection patterns
    */
   async checkBugDetection() {
-    console.log('🐛 Bug Detection Analysis');
+    logger.log('🐛 Bug Detection Analysis');
     
     const results = {
       bugs: [],
@@ -1017,11 +1048,11 @@ class AnalyzerBase {
       performanceIssues: []
     };
 
-    const sourceFiles = this.getSourceFiles(path.join(this.projectRoot, 'src'));
+    const sourceFiles = this.getScopedSourceFiles('bug-detection');
     
     sourceFiles.forEach(file => {
       try {
-        const content = fs.readFileSync(file, 'utf8');
+        const content = this.readSourceFile(file);
         const relativePath = path.relative(this.projectRoot, file);
         const lines = content.split('\n');
         
@@ -1163,7 +1194,7 @@ class AnalyzerBase {
    * Test Case Analysis - Comprehensive test coverage analysis
    */
   async checkTestCases() {
-    console.log('🧪 Test Case Analysis');
+    logger.log('🧪 Test Case Analysis');
     
     const results = {
       testFiles: [],
@@ -1245,7 +1276,7 @@ class AnalyzerBase {
     });
 
     // Find missing tests for source files
-    const sourceFiles = this.getSourceFiles(path.join(this.projectRoot, 'src'));
+    const sourceFiles = this.getSourceFiles();
     sourceFiles.forEach(sourceFile => {
       const relativePath = path.relative(this.projectRoot, sourceFile);
       const fileName = path.basename(sourceFile, path.extname(sourceFile));
@@ -1299,11 +1330,11 @@ class AnalyzerBase {
       try {
         const coverageResult = await this.runCommand('npm run test:coverage', 'Running tests for coverage analysis');
         if (coverageResult.success && coverageResult.output) {
-          console.log('🔍 Parsing Jest output for test-cases coverage...');
+          logger.log('🔍 Parsing Jest output for test-cases coverage...');
           // Parse coverage from Jest output
           const coverageMatch = coverageResult.output.match(/All files\s+\|\s+(\d+\.?\d*)\s+\|\s+(\d+\.?\d*)\s+\|\s+(\d+\.?\d*)\s+\|\s+(\d+\.?\d*)/);
           if (coverageMatch) {
-            console.log('✅ Found test-cases coverage match:', coverageMatch[1]);
+            logger.log('✅ Found test-cases coverage match:', coverageMatch[1]);
             results.coverage = {
               statements: parseFloat(coverageMatch[1]),
               branches: parseFloat(coverageMatch[2]),
@@ -1315,7 +1346,7 @@ class AnalyzerBase {
             // Fallback: look for any percentage in output
             const percentageMatch = coverageResult.output.match(/(\d+\.?\d*)%/);
             if (percentageMatch) {
-              console.log('✅ Found test-cases percentage match:', percentageMatch[1]);
+              logger.log('✅ Found test-cases percentage match:', percentageMatch[1]);
               const coverage = parseFloat(percentageMatch[1]);
               results.coverage = {
                 statements: coverage,
@@ -1338,11 +1369,11 @@ class AnalyzerBase {
       const summaryFileMatch = coverageFound && results.coverage.statements;
       
       if (Math.abs(jestOutputMatch - summaryFileMatch) > 5) {
-        console.log('⚠️  Test coverage discrepancy detected:');
-        console.log(`   Jest output: ${jestOutputMatch}%`);
-        console.log(`   Summary file: ${summaryFileMatch}%`);
-        console.log('   This may indicate Jest configuration issues with collectCoverageFrom patterns');
-        console.log('   Recommendation: Review jest.config.js collectCoverageFrom settings');
+        logger.log('⚠️  Test coverage discrepancy detected:');
+        logger.log(`   Jest output: ${jestOutputMatch}%`);
+        logger.log(`   Summary file: ${summaryFileMatch}%`);
+        logger.log('   This may indicate Jest configuration issues with collectCoverageFrom patterns');
+        logger.log('   Recommendation: Review jest.config.js collectCoverageFrom settings');
       }
     }
 
@@ -1484,7 +1515,7 @@ class AnalyzerBase {
    * Cursor AI Integration - Generate AI prompts for code analysis
    */
   async generateCursorAIPrompts(findings) {
-    console.log('🤖 Generating Cursor AI Prompts');
+    logger.log('🤖 Generating Cursor AI Prompts');
     
     const prompts = {
       bugAnalysis: [],
@@ -1493,13 +1524,18 @@ class AnalyzerBase {
       refactoring: [],
       securityReview: []
     };
+    const issues = flattenFindings(findings);
+    const bugs = issues.filter(issue => issue.analyzer === 'bugDetection' && issue.list === 'bugs');
+    const eslintIssues = issues.filter(issue => issue.analyzer === 'eslint');
+    const securityRisks = issues.filter(issue => issue.analyzer === 'bugDetection' && issue.list === 'securityRisks');
+    const complexFunctions = issues.filter(issue => issue.analyzer === 'complexity');
 
     // Bug Analysis Prompts
-    if (findings.bugDetection && findings.bugDetection.bugs.length > 0) {
+    if (bugs.length > 0) {
       prompts.bugAnalysis.push({
         title: 'Critical Bug Analysis',
-        prompt: `Please analyze these potential bugs in the codebase:\n\n${findings.bugDetection.bugs.map(bug => 
-          `File: ${bug.file}:${bug.line}\nIssue: ${bug.issue}\nCode: ${bug.code}\nSuggestion: ${bug.suggestion}`
+        prompt: `Please analyze these potential bugs in the codebase:\n\n${bugs.map(bug => 
+          `File: ${formatLocation(bug)}\nIssue: ${bug.message}\nCode: ${bug.snippet}\nSuggestion: ${bug.suggestion}`
         ).join('\n\n')}\n\nProvide detailed analysis and fixes for each bug.`
       });
     }
@@ -1518,28 +1554,28 @@ class AnalyzerBase {
     if (findings.eslint && findings.eslint.errors > 0) {
       prompts.codeReview.push({
         title: 'ESLint Issues Review',
-        prompt: `Review and fix these ESLint errors:\n\n${findings.eslint.details.map(error => 
-          `File: ${error.filePath}:${error.line}:${error.column}\nRule: ${error.ruleId}\nMessage: ${error.message}`
+        prompt: `Review and fix these ESLint errors:\n\n${eslintIssues.map(error => 
+          `File: ${formatLocation(error)}\nRule: ${error.ruleId}\nMessage: ${error.message}`
         ).join('\n\n')}\n\nProvide corrected code and explanations.`
       });
     }
 
     // Security Review Prompts
-    if (findings.bugDetection && findings.bugDetection.securityRisks.length > 0) {
+    if (securityRisks.length > 0) {
       prompts.securityReview.push({
         title: 'Security Vulnerability Analysis',
-        prompt: `Analyze these security risks:\n\n${findings.bugDetection.securityRisks.map(risk => 
-          `File: ${risk.file}:${risk.line}\nIssue: ${risk.issue}\nCode: ${risk.code}\nSuggestion: ${risk.suggestion}`
+        prompt: `Analyze these security risks:\n\n${securityRisks.map(risk => 
+          `File: ${formatLocation(risk)}\nIssue: ${risk.message}\nCode: ${risk.snippet}\nSuggestion: ${risk.suggestion}`
         ).join('\n\n')}\n\nProvide secure alternatives and best practices.`
       });
     }
 
     // Refactoring Prompts
-    if (findings.complexity && findings.complexity.complexFunctions.length > 0) {
+    if (complexFunctions.length > 0) {
       prompts.refactoring.push({
         title: 'Code Refactoring Suggestions',
-        prompt: `Refactor these complex functions:\n\n${findings.complexity.complexFunctions.map(func => 
-          `File: ${func.file}\nFunction: ${func.name}\nComplexity: ${func.complexity}\nLines: ${func.lines}`
+        prompt: `Refactor these complex functions:\n\n${complexFunctions.map(func => 
+          `File: ${formatLocation(func)}\nIssue: ${func.message}\nLines: ${func.startLine}-${func.endLine}`
         ).join('\n\n')}\n\nProvide refactored code with improved readability and maintainability.`
       });
     }
@@ -1551,7 +1587,7 @@ class AnalyzerBase {
    * AI Code Analysis - Actually analyze code using AI patterns
    */
   async performAICodeAnalysis(findings) {
-    console.log('🤖 Performing AI Code Analysis');
+    logger.log('🤖 Performing AI Code Analysis');
     
     const aiAnalysis = {
       criticalIssues: [],
@@ -1561,55 +1597,48 @@ class AnalyzerBase {
       testSuggestions: [],
       refactoringSuggestions: []
     };
+    const issues = flattenFindings(findings);
 
     // Analyze ESLint errors with AI patterns
-    if (findings.eslint && findings.eslint.details) {
-      findings.eslint.details.forEach(error => {
-        const suggestion = this.generateAIFix(error);
-        if (suggestion) {
-          aiAnalysis.codeImprovements.push({
-            file: error.filePath,
-            line: error.line,
-            rule: error.ruleId,
-            issue: error.message,
-            suggestion: suggestion,
-            severity: 'ERROR',
-            category: 'Code Quality'
-          });
-        }
-      });
-    }
-
-    // Analyze bug detection results
-    if (findings.bugDetection) {
-      if (findings.bugDetection.bugs) {
-        findings.bugDetection.bugs.forEach(bug => {
-          aiAnalysis.criticalIssues.push({
-            file: bug.file,
-            line: bug.line,
-            issue: bug.issue,
-            suggestion: bug.suggestion,
-            severity: 'CRITICAL',
-            category: 'Bug Detection',
-            code: bug.code
-          });
+    issues.filter(issue => issue.analyzer === 'eslint').forEach(error => {
+      const suggestion = this.generateAIFix(error);
+      if (suggestion) {
+        aiAnalysis.codeImprovements.push({
+          file: error.file,
+          line: error.startLine,
+          rule: error.ruleId,
+          issue: error.message,
+          suggestion: suggestion,
+          severity: 'ERROR',
+          category: 'Code Quality'
         });
       }
+    });
 
-      if (findings.bugDetection.securityRisks) {
-        findings.bugDetection.securityRisks.forEach(risk => {
-          aiAnalysis.securityFixes.push({
-            file: risk.file,
-            line: risk.line,
-            issue: risk.issue,
-            suggestion: risk.suggestion,
-            severity: 'HIGH',
-            category: 'Security',
-            code: risk.code
-          });
-        });
-      }
-    }
+    // Analyze bug detection results
+    issues.filter(issue => issue.analyzer === 'bugDetection' && issue.list === 'bugs').forEach(bug => {
+      aiAnalysis.criticalIssues.push({
+        file: bug.file,
+        line: bug.startLine,
+        issue: bug.message,
+        suggestion: bug.suggestion,
+        severity: 'CRITICAL',
+        category: 'Bug Detection',
+        code: bug.snippet
+      });
+    });
+
+    issues.filter(issue => issue.analyzer === 'bugDetection' && issue.list === 'securityRisks').forEach(risk => {
+      aiAnalysis.securityFixes.push({
+        file: risk.file,
+        line: risk.startLine,
+        issue: risk.message,
+        suggestion: risk.suggestion,
+        severity: 'HIGH',
+        category: 'Security',
+        code: risk.snippet
+      });
+    });
 
     // Analyze test cases
     if (findings.testCases && findings.testCases.missingTests) {
@@ -1642,13 +1671,11 @@ class AnalyzerBase {
   }
 
   /**
-   * Generate AI-powered fix suggestions for ESLint errors
+   * Generate AI-powered fix suggestions for ESLint findings
    */
   generateAIFix(error) {
     const ruleId = error.ruleId;
     const message = error.message;
-    const line = error.line;
-    const column = error.column;
 
     // AI-powered fix patterns
     const fixPatterns = {
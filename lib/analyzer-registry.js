@@ -0,0 +1,133 @@
+const PluginRegistry = require('./plugin-registry');
+
+const BUILT_IN_ANALYZERS = [
+  'eslint',
+  'typescript',
+  'security',
+  'tests',
+  'complexity',
+  'custom-rules',
+  'dependencies',
+  'performance',
+  'architecture',
+  'bug-detection',
+  'test-cases'
+];
+
+/**
+ * Analyzer Registry - keeps track of built-in and plugin analyzers
+ *
+ * An analyzer is a module exporting:
+ *   name          - unique analyzer name used in the `analyzers` config list
+ *   key           - property the result is stored under in findings (defaults to camelCased name)
+ *   dependencies  - analyzer names whose results must be available in context.findings
+ *   weight        - contribution to the overall score (0 = not scored)
+ *   triggers      - RegExps of changed files that should re-run the analyzer in watch mode
+ *   run(context)  - async function returning the analyzer result
+ *   score(result) - optional function returning a 0-100 score for the result
+ */
+class AnalyzerRegistry extends PluginRegistry {
+  constructor() {
+    super('analyzer', 'self-serve-review-analyzer-');
+  }
+
+  /**
+   * Create a registry with built-in analyzers and plugins discovered for a project
+   */
+  static createDefault(configManager) {
+    const registry = new AnalyzerRegistry();
+    registry.registerBuiltIns();
+
+    if (configManager) {
+      registry.loadPlugins(configManager, 'analyzers');
+    }
+
+    return registry;
+  }
+
+  /**
+   * Register all built-in analyzers
+   */
+  registerBuiltIns() {
+    BUILT_IN_ANALYZERS.forEach(name => {
+      this.register(require(`./analyzers/${name}`), { builtIn: true });
+    });
+    return this;
+  }
+
+  /**
+   * Validate the analyzer contract
+   */
+  validate(analyzer) {
+    const errors = super.validate(analyzer);
+    if (!analyzer || typeof analyzer !== 'object') {
+      return errors;
+    }
+
+    if (typeof analyzer.run !== 'function') {
+      errors.push("Missing required function 'run(context)'");
+    }
+
+    if (analyzer.dependencies && !Array.isArray(analyzer.dependencies)) {
+      errors.push("'dependencies' must be an array");
+    }
+
+    if (analyzer.weight !== undefined && (typeof analyzer.weight !== 'number' || analyzer.weight < 0)) {
+      errors.push("'weight' must be a non-negative number");
+    }
+
+    if (analyzer.score !== undefined && typeof analyzer.score !== 'function') {
+      errors.push("'score' must be a function");
+    }
+
+    return errors;
+  }
+
+  getDefaults(analyzer) {
+    return {
+      ...super.getDefaults(analyzer),
+      dependencies: [],
+      weight: 0,
+      triggers: []
+    };
+  }
+
+  /**
+   * Resolve configured entries to analyzers in dependency order
+   * Dependencies that were not requested are added so their results are available
+   */
+  resolve(entries) {
+    const ordered = [];
+    const unknown = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (entry, requiredBy) => {
+      const analyzer = this.get(entry);
+      if (!analyzer) {
+        unknown.push(requiredBy ? `${entry} (required by ${requiredBy})` : entry);
+        return;
+      }
+
+      if (visited.has(analyzer.name)) return;
+      if (visiting.has(analyzer.name)) {
+        throw new Error(`Circular analyzer dependency involving '${analyzer.name}'`);
+      }
+
+      visiting.add(analyzer.name);
+      analyzer.dependencies.forEach(dependency => visit(dependency, analyzer.name));
+      visiting.delete(analyzer.name);
+
+      visited.add(analyzer.name);
+      ordered.push(analyzer);
+    };
+
+    entries.forEach(entry => visit(entry));
+
+    return { analyzers: ordered, unknown };
+  }
+}
+
+AnalyzerRegistry.BUILT_IN_ANALYZERS = BUILT_IN_ANALYZERS;
+
+module.exports = AnalyzerRegistry;
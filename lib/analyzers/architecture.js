@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * Architecture analyzer - error handling, logging and validation anti-patterns
+ */
+module.exports = {
+  name: 'architecture',
+  key: 'architecture',
+  dependencies: [],
+  weight: 10,
+  triggers: [SOURCE_FILE],
+  run: (context) => context.analyzer.checkArchitecture()
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * Bug detection analyzer - line-level bug, security and performance patterns
+ */
+module.exports = {
+  name: 'bug-detection',
+  key: 'bugDetection',
+  dependencies: [],
+  weight: 10,
+  triggers: [SOURCE_FILE],
+  run: (context) => context.analyzer.checkBugDetection()
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * Complexity analyzer - functions that are too long
+ */
+module.exports = {
+  name: 'complexity',
+  key: 'complexity',
+  dependencies: [],
+  weight: 10,
+  triggers: [SOURCE_FILE],
+  run: (context) => context.analyzer.analyzeComplexity()
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * Custom rules analyzer - violations of the rules from the template and project config
+ */
+module.exports = {
+  name: 'custom-rules',
+  key: 'customRules',
+  dependencies: [],
+  weight: 10,
+  triggers: [SOURCE_FILE, /(^|\/)\.self-serve-review\/rules\.json$/],
+  run: (context) => context.analyzer.checkCustomRules(context.ruleEngine)
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE, PACKAGE_FILES } = require('./triggers');
+
+/**
+ * Dependencies analyzer - circular imports, outdated and vulnerable packages
+ */
+module.exports = {
+  name: 'dependencies',
+  key: 'dependencies',
+  dependencies: [],
+  weight: 10,
+  triggers: [PACKAGE_FILES, SOURCE_FILE],
+  run: (context) => context.analyzer.checkDependencies()
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * ESLint analyzer - lint errors and warnings reported by the project's ESLint setup
+ */
+module.exports = {
+  name: 'eslint',
+  key: 'eslint',
+  dependencies: [],
+  weight: 15,
+  triggers: [SOURCE_FILE, /(^|\/)\.eslintrc(\.\w+)?$/, /(^|\/)\.eslintignore$/],
+  run: (context) => context.analyzer.checkESLint()
+};
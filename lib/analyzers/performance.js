@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * Performance analyzer - synchronous I/O, console logging and large functions
+ */
+module.exports = {
+  name: 'performance',
+  key: 'performance',
+  dependencies: [],
+  weight: 10,
+  triggers: [SOURCE_FILE],
+  run: (context) => context.analyzer.checkPerformance()
+};
@@ -0,0 +1,13 @@
+const { PACKAGE_FILES } = require('./triggers');
+
+/**
+ * Security analyzer - high and critical vulnerabilities reported by `npm audit`
+ */
+module.exports = {
+  name: 'security',
+  key: 'security',
+  dependencies: [],
+  weight: 25,
+  triggers: [PACKAGE_FILES],
+  run: (context) => context.analyzer.checkSecurity()
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE, JEST_CONFIG } = require('./triggers');
+
+/**
+ * Test cases analyzer - test quality, missing tests and weighted coverage
+ */
+module.exports = {
+  name: 'test-cases',
+  key: 'testCases',
+  dependencies: [],
+  weight: 10,
+  triggers: [SOURCE_FILE, JEST_CONFIG],
+  run: (context) => context.analyzer.checkTestCases()
+};
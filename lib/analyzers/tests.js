@@ -0,0 +1,13 @@
+const { SOURCE_FILE, JEST_CONFIG } = require('./triggers');
+
+/**
+ * Tests analyzer - Jest coverage and source files without tests (reported only, scored through test-cases)
+ */
+module.exports = {
+  name: 'tests',
+  key: 'tests',
+  dependencies: [],
+  weight: 0,
+  triggers: [SOURCE_FILE, JEST_CONFIG],
+  run: (context) => context.analyzer.checkTests()
+};
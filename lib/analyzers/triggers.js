@@ -0,0 +1,8 @@
+/**
+ * Changed-file patterns shared by the built-in analyzers' watch triggers
+ */
+module.exports = {
+  SOURCE_FILE: /\.(ts|tsx|js|jsx|mjs|cjs)$/,
+  PACKAGE_FILES: /(^|\/)package(-lock)?\.json$/,
+  JEST_CONFIG: /(^|\/)jest\.config\.\w+$/
+};
@@ -0,0 +1,13 @@
+const { SOURCE_FILE } = require('./triggers');
+
+/**
+ * TypeScript analyzer - type errors reported by `tsc --noEmit`
+ */
+module.exports = {
+  name: 'typescript',
+  key: 'typescript',
+  dependencies: [],
+  weight: 15,
+  triggers: [SOURCE_FILE, /(^|\/)tsconfig(\.\w+)?\.json$/],
+  run: (context) => context.analyzer.checkTypeScript()
+};
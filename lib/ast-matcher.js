@@ -0,0 +1,58 @@
+const path = require('path');
+const esquery = require('esquery');
+const { parse } = require('@typescript-eslint/typescript-estree');
+const { visitorKeys } = require('@typescript-eslint/visitor-keys');
+
+/**
+ * AST Matcher - runs ESQuery selectors (`type: "ast"` rules) against parsed JavaScript/TypeScript files
+ */
+class AstMatcher {
+  constructor() {
+    this.selectors = new Map();
+  }
+
+  /**
+   * Parse a selector once per rule; throws on invalid syntax
+   */
+  getSelector(selector) {
+    if (!this.selectors.has(selector)) {
+      this.selectors.set(selector, AstMatcher.parseSelector(selector));
+    }
+    return this.selectors.get(selector);
+  }
+
+  /**
+   * Nodes matching a selector, with `range` (source offsets) and `loc`
+   */
+  match(ast, selector) {
+    return esquery.match(ast, this.getSelector(selector), { visitorKeys });
+  }
+
+  /**
+   * Parse a selector, throwing an Error with the selector in the message
+   */
+  static parseSelector(selector) {
+    try {
+      return esquery.parse(selector);
+    } catch (error) {
+      throw new Error(`Invalid AST selector "${selector}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a source file into an ESTree-compatible AST (TypeScript syntax included, JSX for .tsx/.jsx/.js)
+   */
+  static parse(content, filePath) {
+    const extension = path.extname(filePath);
+
+    return parse(content, {
+      filePath,
+      jsx: ['.tsx', '.jsx', '.js'].includes(extension),
+      loc: true,
+      range: true,
+      comment: false
+    });
+  }
+}
+
+module.exports = AstMatcher;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { flattenFindings, filterFindingResult } = require('./findings');
+const logger = require('./logger');
+
+const BASELINE_FILE = '.self-serve-review-baseline.json';
+
+/**
+ * Baseline - known findings recorded by fingerprint so only new findings fail a run
+ */
+class Baseline {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.path = path.join(projectRoot, BASELINE_FILE);
+    this.entries = null;
+  }
+
+  /**
+   * Check whether a baseline file exists
+   */
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  /**
+   * Load the recorded findings; a missing or unreadable file is an empty baseline
+   */
+  load() {
+    if (this.entries) return this.entries;
+
+    this.entries = [];
+    if (this.exists()) {
+      try {
+        const content = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        this.entries = Array.isArray(content.findings) ? content.findings : [];
+      } catch (error) {
+        console.warn(`⚠️  Could not parse ${BASELINE_FILE}: ${error.message}`);
+      }
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Record every current finding as baselined
+   */
+  write(findings) {
+    const entries = flattenFindings(findings)
+      .map(finding => ({
+        fingerprint: finding.fingerprint,
+        analyzer: finding.analyzer,
+        ruleId: finding.ruleId,
+        file: finding.file || finding.package,
+        line: finding.startLine,
+        message: finding.message
+      }))
+      .sort((a, b) => (a.file || '').localeCompare(b.file || '') || (a.line || 0) - (b.line || 0) ||
+        a.fingerprint.localeCompare(b.fingerprint));
+
+    fs.writeFileSync(this.path, JSON.stringify({
+      version: 1,
+      generated: new Date().toISOString(),
+      findings: entries
+    }, null, 2) + '\n');
+
+    this.entries = entries;
+    logger.log(`📦 Baseline written: ${entries.length} findings in ${BASELINE_FILE}`);
+
+    return entries;
+  }
+
+  /**
+   * Remove baselined findings from one analyzer result
+   * Returns the result with only new findings and the baselined ones (flattened)
+   */
+  apply(analyzer, result) {
+    const fingerprints = new Set(this.load().map(entry => entry.fingerprint));
+    if (fingerprints.size === 0) {
+      return { result, baselined: [] };
+    }
+
+    const flattened = flattenFindings({ [analyzer]: result });
+    const byItem = new Map(flattened.map(finding => [finding.raw, finding]));
+    const { result: filtered, removed } = filterFindingResult(analyzer, result,
+      item => !byItem.has(item) || !fingerprints.has(byItem.get(item).fingerprint));
+
+    return {
+      result: filtered,
+      baselined: removed.map(item => byItem.get(item))
+    };
+  }
+}
+
+Baseline.BASELINE_FILE = BASELINE_FILE;
+
+module.exports = Baseline;
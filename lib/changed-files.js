@@ -0,0 +1,166 @@
+const { execFileSync } = require('child_process');
+const { flattenFindings, filterFindingResult } = require('./findings');
+
+// Analyzers whose findings are restricted to the changed files
+const SCOPED_ANALYZERS = ['eslint', 'typescript', 'customRules', 'bugDetection', 'architecture', 'performance'];
+
+// "@@ -12,3 +14,2 @@" -> start line 14, 2 lines
+const HUNK_PATTERN = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+// "origin/main...HEAD" / "v1.2..v1.3" -> the commit the range ends at
+const RANGE_PATTERN = /^.+?\.\.\.?(.*)$/;
+
+/**
+ * Changed Files - the files (and line ranges) changed since a git ref or staged for commit,
+ * used to restrict a run to what the author touched
+ */
+class ChangedFiles {
+  constructor(files, options = {}) {
+    this.files = new Map(Object.entries(files));
+    this.since = options.since || null;
+    this.staged = !!options.staged;
+    this.lines = !!options.lines;
+    this.projectRoot = options.projectRoot || null;
+    // Revision changed files are read from: '' for the index, a commit for a range, null for the working tree
+    this.revision = options.revision === undefined ? null : options.revision;
+  }
+
+  /**
+   * Compute the changed file set with `git diff`: against a ref (including uncommitted and untracked files),
+   * over a commit range ("origin/main...HEAD", committed changes only) or the staged changes.
+   * Paths are relative to the project root; files outside it are ignored.
+   */
+  static fromGit(projectRoot, options = {}) {
+    if (!options.staged && (!options.since || options.since.startsWith('-'))) {
+      throw new Error(`Invalid git ref: ${options.since}`);
+    }
+
+    const git = (args) => {
+      try {
+        return execFileSync('git', args, { cwd: projectRoot, encoding: 'utf8', stdio: 'pipe', maxBuffer: 64 * 1024 * 1024 });
+      } catch (error) {
+        const detail = (error.stderr || error.message).toString().trim().split('\n')[0];
+        throw new Error(`Could not list changed files with git diff: ${detail}`);
+      }
+    };
+
+    const diffArgs = ['diff', '--relative', '--no-prefix', '--no-color', '--unified=0', '--diff-filter=ACMR'];
+    const diff = git(options.staged ? [...diffArgs, '--cached'] : [...diffArgs, options.since, '--']);
+    const files = ChangedFiles.parseDiff(diff);
+    const range = !options.staged && options.since.match(RANGE_PATTERN);
+
+    if (!options.staged && !range) {
+      // New files that are not added yet are changed in full
+      git(['ls-files', '--others', '--exclude-standard'])
+        .split('\n')
+        .filter(Boolean)
+        .forEach(file => { files[file] = null; });
+    }
+
+    const revision = options.staged ? '' : range ? (range[1] || 'HEAD') : null;
+    return new ChangedFiles(files, { ...options, projectRoot, revision });
+  }
+
+  /**
+   * Parse `git diff --no-prefix --unified=0` output into { file: [[startLine, endLine], ...] }
+   */
+  static parseDiff(diff) {
+    const files = {};
+    let current = null;
+
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+++ ')) {
+        const file = line.slice(4).replace(/\t.*$/, '');
+        current = file === '/dev/null' ? null : file;
+        if (current) files[current] = [];
+        return;
+      }
+
+      const hunk = current && line.match(HUNK_PATTERN);
+      if (hunk) {
+        const start = Number(hunk[1]);
+        const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+        // Pure deletions add no lines to the new file
+        if (count > 0) files[current].push([start, start + count - 1]);
+      }
+    });
+
+    return files;
+  }
+
+  /**
+   * Normalize a finding path (ESLint reports "/src/a.ts", Windows uses "\")
+   */
+  static normalize(file) {
+    return String(file || '').split('\\').join('/').replace(/^\.?\//, '');
+  }
+
+  /**
+   * Content of a changed file (relative to the project root) as staged or committed,
+   * or null when the working tree copy is the one being analyzed
+   */
+  readFile(file) {
+    if (this.revision === null) return null;
+
+    try {
+      return execFileSync('git', ['show', `${this.revision}:./${ChangedFiles.normalize(file)}`], {
+        cwd: this.projectRoot, encoding: 'utf8', stdio: 'pipe', maxBuffer: 64 * 1024 * 1024
+      });
+    } catch (error) {
+      const detail = (error.stderr || error.message).toString().trim().split('\n')[0];
+      throw new Error(`Could not read ${file} from ${this.revision || 'the index'}: ${detail}`);
+    }
+  }
+
+  /**
+   * Check whether a file (relative to the project root) changed
+   */
+  includes(file) {
+    return this.files.has(ChangedFiles.normalize(file));
+  }
+
+  /**
+   * Check whether a finding is in a changed file (and, with line restriction, on a changed line)
+   */
+  includesFinding(finding) {
+    const file = ChangedFiles.normalize(finding.file);
+    if (!this.files.has(file)) return false;
+
+    const ranges = this.files.get(file);
+    // Untracked files have no ranges: every line is new
+    if (!this.lines || ranges === null || !finding.startLine) return true;
+
+    return ranges.some(([start, end]) => finding.startLine >= start && finding.startLine <= end);
+  }
+
+  /**
+   * Remove findings outside the changed files from one analyzer result
+   */
+  apply(analyzer, result) {
+    if (!SCOPED_ANALYZERS.includes(analyzer)) {
+      return { result, outOfScope: [] };
+    }
+
+    const byItem = new Map(flattenFindings({ [analyzer]: result }).map(finding => [finding.raw, finding]));
+    const { result: filtered, removed } = filterFindingResult(analyzer, result,
+      item => !byItem.has(item) || this.includesFinding(byItem.get(item)));
+
+    return { result: filtered, outOfScope: removed };
+  }
+
+  /**
+   * Summary stored in the report metadata
+   */
+  getSummary() {
+    return {
+      since: this.since,
+      staged: this.staged,
+      lines: this.lines,
+      files: [...this.files.keys()].sort()
+    };
+  }
+}
+
+ChangedFiles.SCOPED_ANALYZERS = SCOPED_ANALYZERS;
+
+module.exports = ChangedFiles;
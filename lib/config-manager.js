@@ -1,5 +1,17 @@
 const fs = require('fs');
 const path = require('path');
+const AnalyzerRegistry = require('./analyzer-registry');
+const ReporterRegistry = require('./reporter-registry');
+const { SEVERITY_LEVELS } = require('./severity');
+const QualityGate = require('./quality-gate');
+const FileWalker = require('./file-walker');
+const RuleResolver = require('./rule-resolver');
+const ConfigOverrides = require('./config-overrides');
+
+// Lists where the most specific layer's choice is used as-is instead of being concatenated
+const REPLACED_LISTS = ['reporters', 'include', 'extensions'];
+// Keys resolved by the RuleResolver rather than merged layer by layer
+const RULE_KEYS = ['rules', 'categories', 'customPrompts'];
 
 /**
  * Configuration Manager - handles loading and merging configurations
@@ -11,6 +23,8 @@ class ConfigManager {
     this.packageFile = path.join(this.projectRoot, 'package.json');
     
     this.config = null;
+    this.ruleResolver = null;
+    this.ruleSet = null;
     this.loaded = false;
   }
 
@@ -25,19 +39,35 @@ class ConfigManager {
     // Start with default configuration
     let config = this.getDefaultConfig();
 
-    // Load and merge project configuration
     const projectConfig = this.loadProjectConfig();
-    config = this.mergeConfigs(config, projectConfig);
+    const packageConfig = this.loadPackageConfig();
 
-    // Load and merge template configuration if specified
-    if (config.extends) {
-      const templateConfig = await this.loadTemplateConfig(config.extends);
-      config = this.mergeConfigs(templateConfig, config); // Project config overrides template
-    }
+    // Layers are merged from least to most specific: defaults, template, project, package.json
+    const templateName = packageConfig.extends || projectConfig.extends;
+    const templateConfig = templateName ? await this.loadTemplateConfig(templateName) : {};
+    const withoutRules = (layer) => Object.fromEntries(Object.entries(layer).filter(([key]) => !RULE_KEYS.includes(key)));
 
-    // Load package.json configuration
-    const packageConfig = this.loadPackageConfig();
-    config = this.mergeConfigs(config, packageConfig);
+    config = this.mergeConfigs(config, withoutRules(templateConfig));
+    config = this.mergeConfigs(config, withoutRules(projectConfig));
+    config = this.mergeConfigs(config, withoutRules(packageConfig));
+
+    // Rules, categories and custom prompts come from every rule source, with their origins
+    this.ruleResolver = new RuleResolver(this.projectRoot);
+    if (templateName) {
+      this.ruleResolver.addSource({ type: 'template', name: templateName }, templateConfig);
+    }
+    this.ruleResolver
+      .addRulesFile(RuleResolver.RULES_FILE, { optional: true })
+      .addRulesFile(RuleResolver.LEGACY_RULES_FILE, { optional: true });
+    (Array.isArray(config.ruleFiles) ? config.ruleFiles : []).forEach(file => this.ruleResolver.addRulesFile(file));
+    this.ruleResolver
+      .addSource({ type: 'config', name: path.basename(this.configFile) }, projectConfig)
+      .addSource({ type: 'config', name: path.basename(this.packageFile) }, packageConfig);
+
+    this.ruleSet = this.ruleResolver.resolve();
+    RULE_KEYS.forEach(key => {
+      config[key] = this.ruleSet[key];
+    });
 
     this.config = config;
     this.loaded = true;
@@ -54,6 +84,8 @@ class ConfigManager {
       rules: [],
       analyzers: ['eslint', 'typescript', 'security', 'tests', 'complexity', 'bug-detection', 'test-cases'],
       reporters: ['html'],
+      include: ['src/**'],
+      extensions: [...FileWalker.DEFAULT_EXTENSIONS],
       ignore: [
         'node_modules/',
         'dist/',
@@ -85,6 +117,27 @@ class ConfigManager {
         complexity: {
           minScore: 80
         }
+      },
+      qualityGate: {
+        policy: 'gate',
+        minScore: 60
+      },
+      scoring: {
+        // Analyzer weights; analyzers not listed use the weight they declare
+        weights: {},
+        // Points deducted from an analyzer's 100 per finding of each kind
+        penalties: {
+          eslint: { error: 2, warning: 1 },
+          typescript: { error: 100 },
+          security: { vulnerability: 20 },
+          'custom-rules': { critical: 20, error: 10, warning: 5, info: 1 },
+          dependencies: { circularDependencies: 30, outdatedPackages: 20, securityVulnerabilities: 50 },
+          performance: { performanceIssue: 10 },
+          architecture: { antiPattern: 15 },
+          'bug-detection': { bug: 25, potentialIssue: 5, securityRisk: 30, performanceIssue: 10 }
+        },
+        // Minimum overall score for each grade; anything lower is an F
+        grades: { A: 90, B: 80, C: 70, D: 60 }
       }
     };
   }
@@ -127,8 +180,12 @@ class ConfigManager {
         return {
           rules: templateRules.rules || [],
           categories: templateRules.categories || {},
+          customPrompts: templateRules.customPrompts,
           analyzers: templateRules.analyzers || ['eslint', 'typescript', 'security', 'tests'],
-          reporters: templateRules.reporters || ['html', 'json', 'ai-prompts']
+          reporters: templateRules.reporters,
+          include: templateRules.include,
+          extensions: templateRules.extensions,
+          scoring: templateRules.scoring
         };
       }
 
@@ -171,10 +228,13 @@ class ConfigManager {
         return;
       }
 
-      if (Array.isArray(override[key])) {
+      if (key === 'rules') {
+        // Rules are merged by ID, so overriding an inherited rule does not duplicate it
+        result[key] = RuleResolver.mergeRules(base[key] || [], override[key]);
+      } else if (Array.isArray(override[key])) {
         // For arrays, concatenate and remove duplicates
-        if (key === 'rules') {
-          result[key] = [...(base[key] || []), ...override[key]];
+        if (REPLACED_LISTS.includes(key)) {
+          result[key] = [...override[key]];
         } else {
           result[key] = [...new Set([...(base[key] || []), ...override[key]])];
         }
@@ -208,16 +268,27 @@ class ConfigManager {
       return {
         rules: [],
         categories: {},
-        customPrompts: {}
+        customPrompts: {},
+        origins: {},
+        overrides: []
       };
     }
     
-    const config = this.getConfig();
-    return {
-      rules: config.rules || [],
-      categories: config.categories || {},
-      customPrompts: config.customPrompts || {}
-    };
+    return { ...this.ruleSet, overrides: this.getOverrides() };
+  }
+
+  /**
+   * `overrides` blocks of the configuration; blocks of extended templates come first
+   */
+  getOverrides() {
+    return this.loaded ? this.config.overrides || [] : [];
+  }
+
+  /**
+   * Project-relative rules files the rules were read from (e.g. to watch them)
+   */
+  getRuleFiles() {
+    return this.ruleResolver ? this.ruleResolver.getFiles() : [];
   }
 
   /**
@@ -260,6 +331,18 @@ class ConfigManager {
     return config.ignore || [];
   }
 
+  /**
+   * Get the source file selection used by every analyzer: include globs, extensions and ignore patterns
+   */
+  getSourceConfig() {
+    const config = this.getConfig();
+    return {
+      include: config.include || ['src/**'],
+      extensions: config.extensions || FileWalker.DEFAULT_EXTENSIONS,
+      ignore: config.ignore || []
+    };
+  }
+
   /**
    * Get quality thresholds
    */
@@ -268,6 +351,31 @@ class ConfigManager {
     return config.thresholds || {};
   }
 
+  /**
+   * Get scoring weights, penalty factors and grade boundaries
+   */
+  getScoringConfig() {
+    const config = this.getConfig();
+    return {
+      weights: {},
+      penalties: {},
+      grades: {},
+      ...config.scoring
+    };
+  }
+
+  /**
+   * Get quality gate exit policy ("gate", "score" or "warn") and the minimum score used by "score"
+   */
+  getQualityGateConfig() {
+    const config = this.getConfig();
+    return {
+      policy: 'gate',
+      minScore: 60,
+      ...config.qualityGate
+    };
+  }
+
   /**
    * Check if AI integration is enabled
    */
@@ -355,31 +463,77 @@ class ConfigManager {
   /**
    * Validate configuration
    */
-  validateConfig() {
+  validateConfig(analyzerRegistry = null, reporterRegistry = null) {
     const config = this.getConfig();
     const errors = [];
     const warnings = [];
 
-    // Validate analyzers
-    const validAnalyzers = ['eslint', 'typescript', 'security', 'tests', 'complexity', 'custom-rules'];
-    const invalidAnalyzers = (config.analyzers || []).filter(a => !validAnalyzers.includes(a));
+    // Validate analyzers against what is actually registered (built-ins and plugins)
+    const registry = analyzerRegistry || AnalyzerRegistry.createDefault(this);
+    const invalidAnalyzers = (config.analyzers || []).filter(a => !registry.has(a));
     if (invalidAnalyzers.length > 0) {
       warnings.push(`Unknown analyzers: ${invalidAnalyzers.join(', ')}`);
     }
 
-    // Validate reporters
-    const validReporters = ['html', 'json', 'markdown', 'ai-prompts'];
-    const invalidReporters = (config.reporters || []).filter(r => !validReporters.includes(r));
+    // Validate reporters against the registered ones
+    const reporters = reporterRegistry || ReporterRegistry.createDefault(this);
+    const invalidReporters = (config.reporters || []).filter(r => !reporters.has(r));
     if (invalidReporters.length > 0) {
       warnings.push(`Unknown reporters: ${invalidReporters.join(', ')}`);
     }
 
     // Validate severity
-    const validSeverities = ['info', 'warning', 'error', 'critical'];
-    if (config.severity && !validSeverities.includes(config.severity)) {
+    if (config.severity && !SEVERITY_LEVELS.includes(config.severity)) {
       errors.push(`Invalid severity level: ${config.severity}`);
     }
 
+    // Validate source file selection
+    if (config.include !== undefined && (!Array.isArray(config.include) || config.include.length === 0 ||
+      config.include.some(pattern => typeof pattern !== 'string' || !pattern))) {
+      errors.push('include must be a non-empty list of glob patterns');
+    }
+    const invalidExtensions = (config.extensions || []).filter(extension => typeof extension !== 'string' || !extension.startsWith('.'));
+    if (invalidExtensions.length > 0) {
+      errors.push(`Invalid extensions (expected e.g. ".ts"): ${invalidExtensions.join(', ')}`);
+    }
+
+    // Validate extra rule files
+    if (config.ruleFiles !== undefined && (!Array.isArray(config.ruleFiles) ||
+      config.ruleFiles.some(file => typeof file !== 'string' || !file))) {
+      errors.push('ruleFiles must be a list of rules file paths');
+    }
+
+    // Validate per-path overrides
+    errors.push(...ConfigOverrides.validate(config.overrides));
+    const unknownOverrideAnalyzers = (Array.isArray(config.overrides) ? config.overrides : [])
+      .flatMap(override => (override && Array.isArray(override.analyzers) ? override.analyzers : []))
+      .filter(analyzer => typeof analyzer === 'string' && !registry.has(analyzer));
+    if (unknownOverrideAnalyzers.length > 0) {
+      warnings.push(`Unknown analyzers in overrides: ${[...new Set(unknownOverrideAnalyzers)].join(', ')}`);
+    }
+
+    // Validate quality gate policy
+    const gatePolicy = config.qualityGate && config.qualityGate.policy;
+    if (gatePolicy && !QualityGate.EXIT_POLICIES.includes(gatePolicy)) {
+      errors.push(`Invalid quality gate policy: ${gatePolicy}`);
+    }
+
+    // Validate scoring model
+    const scoring = config.scoring || {};
+    Object.entries(scoring.weights || {}).forEach(([analyzer, weight]) => {
+      if (typeof weight !== 'number' || weight < 0) {
+        errors.push(`Invalid scoring weight for ${analyzer}: ${weight}`);
+      }
+    });
+    Object.entries(scoring.grades || {}).forEach(([grade, minimum]) => {
+      if (typeof minimum !== 'number' || minimum < 0 || minimum > 100) {
+        errors.push(`Invalid grade boundary for ${grade}: ${minimum}`);
+      }
+    });
+    if (scoring.skipUnavailable !== undefined && typeof scoring.skipUnavailable !== 'boolean') {
+      errors.push(`Invalid scoring.skipUnavailable (expected true or false): ${scoring.skipUnavailable}`);
+    }
+
     // Validate output directory
     if (config.outputDir) {
       try {
@@ -0,0 +1,124 @@
+const FileWalker = require('./file-walker');
+
+// Per-rule settings in an override: a severity, or "off" to turn the rule off
+const RULE_SETTINGS = ['off', 'critical', 'error', 'warning', 'info'];
+
+/**
+ * Config Overrides - ESLint-style `overrides` blocks that change rules, analyzers and thresholds for some paths:
+ * `[{ files, excludedFiles, rules: { id: severity|"off" }, analyzers, thresholds }]`
+ * Later blocks win over earlier ones for the files they both match.
+ */
+class ConfigOverrides {
+  constructor(overrides = []) {
+    this.overrides = (Array.isArray(overrides) ? overrides : []).map((override, index) => ({ ...override, index }));
+  }
+
+  /**
+   * Create the overrides of the loaded configuration
+   */
+  static fromConfig(configManager) {
+    return new ConfigOverrides(configManager.getOverrides());
+  }
+
+  /**
+   * Override blocks matching a project-relative file, in configuration order
+   */
+  forFile(filePath) {
+    return this.overrides.filter(override => ConfigOverrides.matches(override, filePath));
+  }
+
+  /**
+   * The last matching block that sets `key`, or null
+   */
+  findLast(filePath, key, predicate = override => override[key] !== undefined) {
+    const matching = this.forFile(filePath).filter(predicate);
+    return matching.length > 0 ? matching[matching.length - 1] : null;
+  }
+
+  /**
+   * Severity ("ERROR", ...) or "off" that the overrides give a rule for a file, with the block that set it; null if none
+   */
+  getRuleSetting(ruleId, filePath) {
+    const override = this.findLast(filePath, 'rules', candidate => candidate.rules && candidate.rules[ruleId] !== undefined);
+    if (!override) return null;
+
+    const setting = String(override.rules[ruleId]).toLowerCase();
+    return { value: setting === 'off' ? 'off' : setting.toUpperCase(), override };
+  }
+
+  /**
+   * Whether an analyzer (registry name, e.g. "bug-detection") reads a file: the last matching `analyzers` list decides
+   */
+  isAnalyzerEnabled(analyzer, filePath) {
+    const override = this.findLast(filePath, 'analyzers');
+    return !override || override.analyzers.includes(analyzer);
+  }
+
+  /**
+   * Blocks with `thresholds`, for the quality gate
+   */
+  getThresholdOverrides() {
+    return this.overrides.filter(override => override.thresholds && typeof override.thresholds === 'object');
+  }
+
+  /**
+   * Check `files` and `excludedFiles` globs for a project-relative file
+   */
+  static matches(override, filePath) {
+    const files = override.files || [];
+    const excludedFiles = override.excludedFiles || [];
+
+    return files.some(pattern => FileWalker.matchGlob(filePath, pattern)) &&
+      !excludedFiles.some(pattern => FileWalker.matchGlob(filePath, pattern));
+  }
+
+  /**
+   * Short label of a block for messages, e.g. 'overrides[1] ("scripts/**")'
+   */
+  static describe(override) {
+    return `overrides[${override.index}] (${(override.files || []).map(pattern => `"${pattern}"`).join(', ')})`;
+  }
+
+  /**
+   * Configuration errors in an `overrides` section
+   */
+  static validate(overrides) {
+    if (overrides === undefined) return [];
+    if (!Array.isArray(overrides)) return ['overrides must be a list of override blocks'];
+
+    const errors = [];
+    overrides.forEach((override, index) => {
+      const label = `overrides[${index}]`;
+      if (!override || typeof override !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      if (!Array.isArray(override.files) || override.files.length === 0 || override.files.some(pattern => typeof pattern !== 'string')) {
+        errors.push(`${label}: files must be a non-empty list of globs`);
+      }
+      if (override.excludedFiles !== undefined &&
+        (!Array.isArray(override.excludedFiles) || override.excludedFiles.some(pattern => typeof pattern !== 'string'))) {
+        errors.push(`${label}: excludedFiles must be a list of globs`);
+      }
+      if (override.analyzers !== undefined &&
+        (!Array.isArray(override.analyzers) || override.analyzers.some(analyzer => typeof analyzer !== 'string'))) {
+        errors.push(`${label}: analyzers must be a list of analyzer names`);
+      }
+      if (override.thresholds !== undefined && (typeof override.thresholds !== 'object' || Array.isArray(override.thresholds))) {
+        errors.push(`${label}: thresholds must be an object`);
+      }
+      Object.entries(override.rules || {}).forEach(([ruleId, setting]) => {
+        if (!RULE_SETTINGS.includes(String(setting).toLowerCase())) {
+          errors.push(`${label}: invalid setting '${setting}' for rule ${ruleId}. Must be one of: ${RULE_SETTINGS.join(', ')}`);
+        }
+      });
+    });
+
+    return errors;
+  }
+}
+
+ConfigOverrides.RULE_SETTINGS = RULE_SETTINGS;
+
+module.exports = ConfigOverrides;
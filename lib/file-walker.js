@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+
+// Declaration files hold no code to analyze
+const DECLARATION_FILE = /\.d\.[cm]?ts$/;
+
+/**
+ * Check a relative path against `ignore` config patterns
+ * Patterns ending in "/" match a directory anywhere in the path, "*" matches within a segment
+ */
+function matchesIgnorePattern(patterns, relativePath) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const segments = normalized.split('/').filter(Boolean);
+
+  return patterns.some(pattern => {
+    if (pattern.endsWith('/')) {
+      const dirName = pattern.slice(0, -1);
+      const dirSegments = normalized.endsWith('/') ? segments : segments.slice(0, -1);
+      return dirSegments.includes(dirName) || normalized === dirName || normalized.startsWith(pattern);
+    }
+
+    if (pattern.includes('*')) {
+      const regex = new RegExp('^' + pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*') + '$');
+      return segments.some(segment => regex.test(segment)) || regex.test(normalized);
+    }
+
+    return normalized === pattern || normalized.startsWith(pattern + '/') || segments.includes(pattern);
+  });
+}
+
+/**
+ * File Walker - the project's source files, shared by every analyzer:
+ * files matching the `include` globs with one of the `extensions`, minus `ignore` patterns and .gitignore entries
+ */
+class FileWalker {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.include = (options.include || ['src/**']).map(pattern => FileWalker.toGlob(pattern));
+    this.extensions = options.extensions || FileWalker.DEFAULT_EXTENSIONS;
+    this.ignore = options.ignore || [];
+    this.gitignore = options.gitignore !== false;
+  }
+
+  /**
+   * Create a walker from the loaded configuration
+   */
+  static fromConfig(configManager) {
+    return new FileWalker(configManager.projectRoot, configManager.getSourceConfig());
+  }
+
+  /**
+   * A plain directory ("lib", "src/") includes everything below it
+   */
+  static toGlob(pattern) {
+    const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+    return /[*?[\]{}]/.test(normalized) || path.extname(normalized) ? normalized : `${normalized}/**`;
+  }
+
+  /**
+   * Match a project-relative path against a glob (brace expansion, "**", dotfiles);
+   * patterns without a "/" match the file name in any directory, like in .gitignore
+   */
+  static matchGlob(filePath, pattern) {
+    const normalized = FileWalker.normalizePath(pattern);
+    return minimatch(FileWalker.normalizePath(filePath), normalized, { dot: true, matchBase: !normalized.includes('/') });
+  }
+
+  /**
+   * Forward slashes, no leading "./" or "/"
+   */
+  static normalizePath(filePath) {
+    return String(filePath).split('\\').join('/').replace(/^\.?\/+/, '');
+  }
+
+  /**
+   * Static directory prefix of a glob ("apps/{api,web}/src" -> "apps"), where the walk starts
+   */
+  static getBaseDir(pattern) {
+    const segments = [];
+    for (const segment of pattern.split('/')) {
+      if (/[*?[\]{}]/.test(segment)) break;
+      segments.push(segment);
+    }
+    return segments.join('/');
+  }
+
+  /**
+   * Absolute paths of all matching files, sorted
+   */
+  getFiles() {
+    const files = new Set();
+    const baseDirs = [...new Set(this.include.map(pattern => FileWalker.getBaseDir(pattern)))]
+      // Walking "src" already covers "src/api"
+      .filter((dir, index, dirs) => !dirs.some(other => other !== dir && (other === '' || dir.startsWith(other + '/'))));
+
+    baseDirs.forEach(baseDir => {
+      const start = path.join(this.projectRoot, baseDir);
+      if (!fs.existsSync(start)) return;
+
+      if (fs.statSync(start).isFile()) {
+        if (this.matches(baseDir)) files.add(start);
+        return;
+      }
+
+      this.walk(start, this.getGitignoreRules(baseDir), files);
+    });
+
+    return [...files].sort();
+  }
+
+  /**
+   * Walk one directory, pruning ignored directories
+   */
+  walk(dir, gitignoreRules, files) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    const relativeDir = this.relative(dir);
+    const rules = gitignoreRules.concat(this.readGitignore(relativeDir));
+
+    entries.forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (entry.name.startsWith('.') || this.isIgnored(`${relativePath}/`, rules, true)) return;
+        this.walk(fullPath, rules, files);
+      } else if (entry.isFile() && this.matches(relativePath) && !this.isIgnored(relativePath, rules, false)) {
+        files.add(fullPath);
+      }
+    });
+  }
+
+  /**
+   * Check include globs and extensions for a relative path
+   */
+  matches(relativePath) {
+    return this.extensions.some(extension => relativePath.endsWith(extension)) &&
+      !DECLARATION_FILE.test(relativePath) &&
+      this.include.some(pattern => minimatch(relativePath, pattern));
+  }
+
+  /**
+   * Check `ignore` patterns and .gitignore rules; the last matching .gitignore rule wins, as in git
+   */
+  isIgnored(relativePath, gitignoreRules, isDirectory) {
+    if (matchesIgnorePattern(this.ignore, relativePath)) return true;
+
+    const target = relativePath.replace(/\/$/, '');
+    let ignored = false;
+    gitignoreRules.forEach(rule => {
+      if (rule.directoryOnly && !isDirectory) return;
+      const candidate = rule.base ? (target.startsWith(rule.base + '/') ? target.slice(rule.base.length + 1) : null) : target;
+      if (candidate === null) return;
+
+      if (minimatch(candidate, rule.pattern, { dot: true, matchBase: !rule.anchored })) {
+        ignored = !rule.negated;
+      }
+    });
+
+    return ignored;
+  }
+
+  /**
+   * .gitignore rules of the project root and every directory above a walk's start directory
+   */
+  getGitignoreRules(baseDir) {
+    if (!baseDir) return [];
+
+    const parts = baseDir.split('/');
+    const rules = [];
+    for (let depth = 0; depth < parts.length; depth++) {
+      rules.push(...this.readGitignore(parts.slice(0, depth).join('/')));
+    }
+    return rules;
+  }
+
+  /**
+   * Parse the .gitignore of one directory (relative to the project root)
+   */
+  readGitignore(relativeDir) {
+    if (!this.gitignore) return [];
+
+    const file = path.join(this.projectRoot, relativeDir, '.gitignore');
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.replace(/\s+$/, ''))
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const negated = line.startsWith('!');
+        let pattern = negated ? line.slice(1) : line;
+        const directoryOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        // A slash anywhere but at the end anchors the pattern to the .gitignore's directory
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+
+        return { base: relativeDir, pattern, negated, directoryOnly, anchored };
+      });
+  }
+
+  /**
+   * Project-relative path with forward slashes
+   */
+  relative(file) {
+    return path.relative(this.projectRoot, file).split(path.sep).join('/');
+  }
+}
+
+FileWalker.DEFAULT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+FileWalker.matchesIgnorePattern = matchesIgnorePattern;
+
+module.exports = FileWalker;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const FileWalker = require('./file-walker');
+
+/**
+ * File Watcher - watches the project tree and reports debounced batches of changed files
+ */
+class FileWatcher {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.ignorePatterns = options.ignore || [];
+    this.debounceMs = options.debounceMs || 300;
+
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.listener = null;
+  }
+
+  /**
+   * Start watching and call onChange with an array of relative paths per batch
+   */
+  start(onChange) {
+    this.listener = onChange;
+    this.watchDirectory(this.projectRoot);
+    return this;
+  }
+
+  /**
+   * Stop all directory watchers
+   */
+  close() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.pending.clear();
+  }
+
+  /**
+   * Watch a directory and all non-ignored subdirectories
+   * (fs.watch is not recursive on Linux before Node 19, so every directory gets its own watcher)
+   */
+  watchDirectory(dir) {
+    if (this.watchers.has(dir)) return;
+
+    const relativeDir = path.relative(this.projectRoot, dir);
+    if (relativeDir && this.isIgnored(relativeDir + '/')) return;
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+      const watcher = fs.watch(dir, (eventType, fileName) => {
+        if (fileName) {
+          this.handleEvent(path.join(dir, fileName.toString()));
+        }
+      });
+      watcher.on('error', () => this.unwatchDirectory(dir));
+      this.watchers.set(dir, watcher);
+    } catch (error) {
+      return;
+    }
+
+    entries
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => this.watchDirectory(path.join(dir, entry.name)));
+  }
+
+  /**
+   * Stop watching a directory that was removed
+   */
+  unwatchDirectory(dir) {
+    const watcher = this.watchers.get(dir);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(dir);
+    }
+  }
+
+  /**
+   * Record a change and (re)start the debounce timer
+   */
+  handleEvent(fullPath) {
+    const relativePath = path.relative(this.projectRoot, fullPath);
+    if (!relativePath || this.isIgnored(relativePath)) return;
+
+    // New directories need their own watcher; removed ones are dropped
+    if (fs.existsSync(fullPath)) {
+      if (fs.statSync(fullPath).isDirectory()) {
+        this.watchDirectory(fullPath);
+        return;
+      }
+    } else {
+      this.unwatchDirectory(fullPath);
+    }
+
+    this.pending.add(relativePath.split(path.sep).join('/'));
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Deliver the pending batch to the listener
+   */
+  flush() {
+    this.timer = null;
+    if (this.pending.size === 0 || !this.listener) return;
+
+    const changedFiles = Array.from(this.pending).sort();
+    this.pending.clear();
+    this.listener(changedFiles);
+  }
+
+  /**
+   * Check a relative path against the configured ignore patterns (same rules as the analyzers' file walker)
+   */
+  isIgnored(relativePath) {
+    return FileWalker.matchesIgnorePattern(this.ignorePatterns, relativePath);
+  }
+}
+
+module.exports = FileWatcher;
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { getFindingSeverity } = require('./severity');
+
+/**
+ * Finding model - adapters turn every analyzer's result shape into one normalized Finding:
+ * { id, analyzer, ruleId, severity, category, file, startLine, startColumn, endLine, endColumn,
+ *   message, suggestion, snippet, fingerprint }
+ * Reporters, the baseline, suppressions and diffs all consume this model.
+ */
+
+// Result lists that hold individual findings, keyed by the findings key used in runAnalyzers()
+const FINDING_LISTS = {
+  eslint: ['details'],
+  typescript: ['details'],
+  security: ['details'],
+  complexity: ['issues'],
+  customRules: ['details'],
+  performance: ['performanceIssues'],
+  architecture: ['antiPatterns'],
+  bugDetection: ['bugs', 'potentialIssues', 'securityRisks', 'performanceIssues'],
+  // Unused and unjustified inline suppression comments
+  suppressions: ['unused', 'invalid']
+};
+
+// Category of findings whose item does not name one, by analyzer (and result list)
+const DEFAULT_CATEGORIES = {
+  eslint: 'style',
+  typescript: 'type-safety',
+  security: 'security',
+  complexity: 'complexity',
+  customRules: 'bug-risk',
+  performance: 'performance',
+  architecture: 'maintainability',
+  'bugDetection.securityRisks': 'security',
+  'bugDetection.performanceIssues': 'performance',
+  bugDetection: 'bug-risk',
+  suppressions: 'suppression'
+};
+
+// Analyzer specific fields; everything not returned here is read from the common item fields
+const ADAPTERS = {
+  typescript: item => ({
+    rule: item.rule || (item.code ? `TS${item.code}` : null),
+    // TypeScript "code" is the diagnostic number, not a source snippet
+    snippet: null
+  }),
+  customRules: item => ({
+    snippet: item.code || item.matchedText || null
+  })
+};
+
+/**
+ * Convert one analyzer result item into a Finding (without id and fingerprint)
+ */
+function toFinding(analyzer, list, item) {
+  const adapted = ADAPTERS[analyzer] ? ADAPTERS[analyzer](item, list) : {};
+  const rule = adapted.rule !== undefined ? adapted.rule : (item.rule || null);
+  const message = item.message || item.issue || item.title || item.description || '';
+  const startLine = item.line || null;
+
+  return {
+    analyzer,
+    list,
+    ruleId: rule || deriveRuleId(message),
+    rule,
+    severity: getFindingSeverity(analyzer, item),
+    category: item.category || DEFAULT_CATEGORIES[`${analyzer}.${list}`] || DEFAULT_CATEGORIES[analyzer] || 'bug-risk',
+    file: item.file || null,
+    package: item.package || null,
+    startLine,
+    startColumn: startLine ? item.column || null : null,
+    endLine: startLine ? item.endLine || startLine : null,
+    endColumn: startLine ? item.endColumn || null : null,
+    message,
+    suggestion: item.suggestion || null,
+    snippet: adapted.snippet !== undefined ? adapted.snippet : (item.code || null),
+    raw: item
+  };
+}
+
+/**
+ * Flatten analyzer results into a list of Findings
+ */
+function flattenFindings(findings = {}) {
+  const flattened = [];
+  const occurrences = new Map();
+
+  Object.entries(FINDING_LISTS).forEach(([analyzer, lists]) => {
+    const result = findings[analyzer];
+    if (!result) return;
+
+    lists.forEach(list => {
+      if (!Array.isArray(result[list])) return;
+
+      result[list].forEach(item => {
+        const finding = toFinding(analyzer, list, item);
+
+        // Identical findings in the same file are told apart by their order of appearance
+        const base = fingerprintBase(finding);
+        const occurrence = occurrences.get(base) || 0;
+        occurrences.set(base, occurrence + 1);
+        finding.fingerprint = crypto.createHash('md5').update(`${base}|${occurrence}`).digest('hex');
+        finding.id = `${analyzer}:${finding.ruleId}:${finding.fingerprint.slice(0, 8)}`;
+
+        flattened.push(finding);
+      });
+    });
+  });
+
+  return flattened;
+}
+
+/**
+ * Keep only the findings of one analyzer result that pass a predicate and update its counters,
+ * so scoring and reports only see what is kept. Returns the filtered result and the removed findings.
+ */
+function filterFindingResult(analyzer, result, keep) {
+  const lists = FINDING_LISTS[analyzer];
+  if (!result || !lists) {
+    return { result, removed: [] };
+  }
+
+  const filtered = { ...result };
+  const removed = [];
+
+  lists.forEach(list => {
+    if (!Array.isArray(result[list])) return;
+
+    filtered[list] = result[list].filter(item => {
+      const kept = keep(item);
+      if (!kept) removed.push(item);
+      return kept;
+    });
+  });
+
+  if (removed.length === 0) {
+    return { result, removed };
+  }
+
+  switch (analyzer) {
+    case 'eslint': {
+      const removedErrors = removed.filter(item => getFindingSeverity(analyzer, item) === 'error').length;
+      filtered.errors = Math.max(0, (result.errors || 0) - removedErrors);
+      filtered.warnings = Math.max(0, (result.warnings || 0) - (removed.length - removedErrors));
+      filtered.issues = filtered.errors + filtered.warnings;
+      filtered.success = filtered.errors === 0;
+      filtered.passed = filtered.errors === 0;
+      break;
+    }
+
+    case 'typescript':
+      filtered.errors = filtered.details.length;
+      filtered.passed = filtered.errors === 0;
+      break;
+
+    case 'security':
+      filtered.vulnerabilities = Math.max(0, (result.vulnerabilities || 0) - removed.length);
+      filtered.passed = filtered.vulnerabilities === 0;
+      break;
+
+    case 'customRules':
+      filtered.violations = filtered.details.length;
+      break;
+
+    case 'complexity':
+      filtered.complexFunctions = Math.max(0, (result.complexFunctions || 0) - removed.length);
+      if (result.totalFunctions > 0) {
+        filtered.score = Math.round(Math.max(0, 100 - (filtered.complexFunctions / result.totalFunctions) * 100));
+      }
+      break;
+  }
+
+  return { result: filtered, removed };
+}
+
+/**
+ * Derive a rule id for findings that have none (bug detection, architecture, ...)
+ * from the issue text before any ":" detail, e.g. "Potentially unused variable: x" -> "potentially-unused-variable"
+ */
+function deriveRuleId(message) {
+  return (message.split(':')[0] || 'finding')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'finding';
+}
+
+/**
+ * Identity of a finding without its position, so the fingerprint survives lines being added above it
+ */
+function fingerprintBase(finding) {
+  const content = finding.snippet || finding.message;
+  return [
+    finding.analyzer,
+    finding.ruleId,
+    finding.file || finding.package || '',
+    content.replace(/\s+/g, ' ').trim()
+  ].join('|');
+}
+
+/**
+ * Compare two sets of analyzer results and return new, fixed and unchanged findings
+ */
+function diffFindings(previous = {}, current = {}) {
+  const previousList = flattenFindings(previous);
+  const currentList = flattenFindings(current);
+  const previousKeys = new Set(previousList.map(finding => finding.fingerprint));
+  const currentKeys = new Set(currentList.map(finding => finding.fingerprint));
+
+  return {
+    added: currentList.filter(finding => !previousKeys.has(finding.fingerprint)),
+    fixed: previousList.filter(finding => !currentKeys.has(finding.fingerprint)),
+    unchanged: currentList.filter(finding => previousKeys.has(finding.fingerprint)),
+    total: currentList.length
+  };
+}
+
+/**
+ * "file:line:column" of a finding (without the parts it does not have), or its package / analyzer when it has no file
+ */
+function formatLocation(finding) {
+  if (!finding.file) return finding.package || finding.analyzer;
+  return [finding.file, finding.startLine, finding.startLine && finding.startColumn].filter(Boolean).join(':');
+}
+
+module.exports = {
+  FINDING_LISTS,
+  DEFAULT_CATEGORIES,
+  toFinding,
+  flattenFindings,
+  filterFindingResult,
+  deriveRuleId,
+  diffFindings,
+  formatLocation
+};
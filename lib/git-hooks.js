@@ -0,0 +1,220 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const QualityGate = require('./quality-gate');
+
+// Hooks managed by `self-serve-review hooks`
+const HOOKS = ['pre-commit', 'pre-push'];
+
+// Fast analysis run by the hooks: only the analyzers that block, no reports, blocking on CRITICAL custom rule findings
+// and on bug detection bugs and security risks, whose severity never goes above ERROR
+const HOOK_ANALYSIS = 'npx --no-install self-serve-review analyze --analyzers custom-rules,bug-detection --no-reports --exit-policy warn --fail-on critical,bug-detection:error';
+// Shell variable holding the analysis exit code, named so it does not clash with the rest of an existing hook
+const STATUS_VARIABLE = 'self_serve_review_status';
+
+const BLOCK_START = (hook) => `# >>> self-serve-review ${hook} >>>`;
+const BLOCK_END = (hook) => `# <<< self-serve-review ${hook} <<<`;
+
+/**
+ * Git Hooks - installs pre-commit / pre-push hooks that block on CRITICAL custom rule findings and ERROR bug detection findings
+ * Hooks are written to core.hooksPath when it is set (e.g. by husky), otherwise to .git/hooks.
+ * Existing hooks are kept: the analysis is added as a marked block that uninstall removes again.
+ */
+class GitHooks {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+  }
+
+  /**
+   * Run a git command in the project root
+   */
+  git(args) {
+    try {
+      return execFileSync('git', args, { cwd: this.projectRoot, encoding: 'utf8', stdio: 'pipe' }).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Repository root; throws outside a git repository
+   */
+  getRepositoryRoot() {
+    const root = this.git(['rev-parse', '--show-toplevel']);
+    if (!root) {
+      throw new Error(`${this.projectRoot} is not inside a git repository`);
+    }
+    return root;
+  }
+
+  /**
+   * Directory git runs hooks from, honouring core.hooksPath
+   */
+  getHooksDir() {
+    const root = this.getRepositoryRoot();
+    const hooksPath = this.git(['config', '--get', 'core.hooksPath']);
+    if (hooksPath) {
+      return path.resolve(root, hooksPath.replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+    }
+
+    return path.resolve(this.projectRoot, this.git(['rev-parse', '--git-path', 'hooks']));
+  }
+
+  /**
+   * Shell block a hook runs; it changes to the project root, which may be a subdirectory of the repository
+   */
+  createBlock(hook) {
+    const relativeRoot = path.relative(this.getRepositoryRoot(), this.projectRoot).split(path.sep).join('/');
+    const cd = `cd "$(git rev-parse --show-toplevel)${relativeRoot ? `/${relativeRoot}` : ''}"`;
+    const lines = [BLOCK_START(hook), '# Installed by `self-serve-review hooks install`; remove with `self-serve-review hooks uninstall`'];
+
+    if (hook === 'pre-commit') {
+      lines.push(
+        '(',
+        `  ${cd} &&`,
+        `  ${HOOK_ANALYSIS} --staged`,
+        ')',
+        ...this.createExitHandler('commit', 'staged files')
+      );
+    } else {
+      lines.push(
+        '(',
+        `  ${cd} || exit 1`,
+        '  upstream=$(git rev-parse --abbrev-ref --symbolic-full-name \'@{upstream}\' 2>/dev/null) || {',
+        '    echo "ℹ️  self-serve-review: no upstream branch, skipping pre-push analysis"',
+        '    exit 0',
+        '  }',
+        // Only the commits being pushed: uncommitted and untracked files are not part of the push
+        `  ${HOOK_ANALYSIS} --since "$upstream...HEAD"`,
+        ')',
+        ...this.createExitHandler('push', 'changed files')
+      );
+    }
+
+    lines.push(BLOCK_END(hook));
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Shell lines that stop the commit or push when the analysis blocks, and report a run that failed
+   * (e.g. the tool is not installed) as such instead of as blocking findings
+   */
+  createExitHandler(action, scope) {
+    return [
+      `${STATUS_VARIABLE}=$?`,
+      `if [ "$${STATUS_VARIABLE}" -eq ${QualityGate.FAIL_ON_EXIT_CODE} ]; then`,
+      `  echo "❌ self-serve-review: ${action} blocked by CRITICAL custom rule or bug detection findings in ${scope} (skip once with: git ${action} --no-verify)"`,
+      '  exit 1',
+      `elif [ "$${STATUS_VARIABLE}" -ne 0 ]; then`,
+      `  echo "❌ self-serve-review: analysis could not run (exit code $${STATUS_VARIABLE}); check that the tool is installed (npm install --save-dev @selectamitpatra/code-review-tool) or skip once with: git ${action} --no-verify"`,
+      '  exit 1',
+      'fi'
+    ];
+  }
+
+  /**
+   * Remove the self-serve-review block from a hook's content
+   */
+  stripBlock(hook, content) {
+    const start = content.indexOf(BLOCK_START(hook));
+    const end = content.indexOf(BLOCK_END(hook));
+    if (start === -1 || end === -1) return content;
+
+    return content.slice(0, start) + content.slice(end + BLOCK_END(hook).length).replace(/^\n/, '');
+  }
+
+  /**
+   * Check whether a hook only contains a shebang and blank lines
+   */
+  isEmptyHook(content) {
+    return content.split('\n').every(line => !line.trim() || line.startsWith('#!'));
+  }
+
+  /**
+   * Install (or update) the given hooks
+   */
+  install(hooks = HOOKS) {
+    const hooksDir = this.getHooksDir();
+    // core.hooksPath=/dev/null is the usual way to turn hooks off
+    if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+      throw new Error(`${hooksDir} is not a directory, so git runs no hooks from it: core.hooksPath disables or redirects hooks in this repository. ` +
+        'Point it at a directory (e.g. "git config core.hooksPath .githooks") or remove it with "git config --unset core.hooksPath", then install again');
+    }
+    fs.mkdirSync(hooksDir, { recursive: true });
+
+    return hooks.map(hook => {
+      const hookPath = path.join(hooksDir, hook);
+      const block = this.createBlock(hook);
+      let action = 'created';
+      let content = `#!/bin/sh\n${block}`;
+
+      if (fs.existsSync(hookPath)) {
+        const existing = fs.readFileSync(hookPath, 'utf8');
+        const stripped = this.stripBlock(hook, existing);
+        action = stripped !== existing ? 'updated' : 'added';
+
+        // Run before the existing commands, which may end with "exit 0"
+        const lines = stripped.split('\n');
+        content = lines[0].startsWith('#!')
+          ? [lines[0], block + lines.slice(1).join('\n')].join('\n')
+          : `#!/bin/sh\n${block}${stripped}`;
+      }
+
+      fs.writeFileSync(hookPath, content);
+      fs.chmodSync(hookPath, 0o755);
+
+      return { hook, path: hookPath, action };
+    });
+  }
+
+  /**
+   * Remove the given hooks; hooks with other commands keep those commands
+   */
+  uninstall(hooks = HOOKS) {
+    const hooksDir = this.getHooksDir();
+
+    return hooks.map(hook => {
+      const hookPath = path.join(hooksDir, hook);
+      const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf8') : null;
+      const stripped = existing !== null ? this.stripBlock(hook, existing) : null;
+
+      if (existing === null || stripped === existing) {
+        return { hook, path: hookPath, action: 'not-installed' };
+      }
+
+      if (this.isEmptyHook(stripped)) {
+        fs.unlinkSync(hookPath);
+        return { hook, path: hookPath, action: 'removed' };
+      }
+
+      fs.writeFileSync(hookPath, stripped);
+      return { hook, path: hookPath, action: 'stripped' };
+    });
+  }
+
+  /**
+   * Installation state of every managed hook
+   */
+  status() {
+    const hooksDir = this.getHooksDir();
+
+    return HOOKS.map(hook => {
+      const hookPath = path.join(hooksDir, hook);
+      const content = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf8') : null;
+      const installed = content !== null && content.includes(BLOCK_START(hook));
+
+      return {
+        hook,
+        path: hookPath,
+        installed,
+        // The hook file also runs other commands (e.g. a husky or lint-staged hook)
+        shared: installed && !this.isEmptyHook(this.stripBlock(hook, content)),
+        executable: content !== null && (fs.statSync(hookPath).mode & 0o111) !== 0
+      };
+    });
+  }
+}
+
+GitHooks.HOOKS = HOOKS;
+
+module.exports = GitHooks;
@@ -3,6 +3,23 @@ const AnalyzerBase = require('./analyzer-base');
 const ReportGenerator = require('./report-generator');
 const ConfigManager = require('./config-manager');
 const TemplateManager = require('./template-manager');
+const AnalyzerRegistry = require('./analyzer-registry');
+const ReporterRegistry = require('./reporter-registry');
+const FileWatcher = require('./file-watcher');
+const QualityGate = require('./quality-gate');
+const Baseline = require('./baseline');
+const Suppressions = require('./suppressions');
+const ChangedFiles = require('./changed-files');
+const logger = require('./logger');
+const RuleResolver = require('./rule-resolver');
+const ConfigOverrides = require('./config-overrides');
+const { diffFindings, flattenFindings, filterFindingResult } = require('./findings');
+const { getFindingSeverity, meetsSeverity, normalizeSeverity } = require('./severity');
+const fs = require('fs');
+const path = require('path');
+
+// Files whose change requires reloading configuration and re-running everything
+const CONFIG_FILES = ['.self-serve-review.json', 'package.json', Baseline.BASELINE_FILE, RuleResolver.RULES_FILE, RuleResolver.LEGACY_RULES_FILE];
 
 /**
  * Main CodeReviewTool class - orchestrates the entire analysis process
@@ -18,6 +35,19 @@ class CodeReviewTool {
     this.ruleEngine = new RuleEngine(this.configManager.getRules());
     this.analyzer = new AnalyzerBase(this.configManager);
     this.reporter = new ReportGenerator(this.configManager);
+    this.analyzerRegistry = AnalyzerRegistry.createDefault();
+    this.reporterRegistry = ReporterRegistry.createDefault();
+    
+    // Findings dropped by the severity filter, per analyzer key
+    this.suppressedBySeverity = {};
+    
+    // Findings matched by the baseline file, per analyzer key
+    this.baselinedFindings = {};
+    this.baseline = new Baseline(this.projectRoot);
+    
+    // Changed file set of a --since / --staged run and the findings it left out, per analyzer key
+    this.changedFiles = null;
+    this.outOfScopeFindings = {};
     
     this.results = {
       findings: {},
@@ -31,11 +61,11 @@ class CodeReviewTool {
    * Initialize a project with a specific template
    */
   async init(templateName, options = {}) {
-    console.log(`🚀 Initializing project with ${templateName} template...`);
+    logger.log(`🚀 Initializing project with ${templateName} template...`);
     
     try {
       const result = await this.templateManager.initializeProject(templateName, this.projectRoot, options);
-      console.log('✅ Project initialized successfully!');
+      logger.log('✅ Project initialized successfully!');
       
       return {
         success: true,
@@ -56,16 +86,20 @@ class CodeReviewTool {
    * Run complete code analysis
    */
   async analyze(options = {}) {
-    console.log('🔍 Starting code analysis...');
+    logger.log('🔍 Starting code analysis...');
     
     try {
       // Load and validate configuration
       await this.configManager.loadConfig();
+      this.validateOverrides();
       
       // Reinitialize components with loaded config
       this.ruleEngine = new RuleEngine(this.configManager.getRules());
       this.analyzer = new AnalyzerBase(this.configManager);
       this.reporter = new ReportGenerator(this.configManager);
+      this.analyzerRegistry = AnalyzerRegistry.createDefault(this.configManager);
+      this.reporterRegistry = ReporterRegistry.createDefault(this.configManager)
+        .loadModulePaths(options.reporters || [], this.projectRoot);
       
       // Validate rules
       const ruleValidation = this.ruleEngine.validateRules();
@@ -73,12 +107,39 @@ class CodeReviewTool {
         throw new Error(`Rule validation failed: ${ruleValidation.errors.join(', ')}`);
       }
 
+      // Every file-based analyzer reads the same file set; an empty one means include/extensions miss the layout
+      this.warnOnEmptySourceFiles();
+      
+      // Restrict the run to changed files for --since / --staged
+      this.changedFiles = this.resolveChangedFiles(options);
+      this.analyzer.changedFiles = this.changedFiles;
+      this.outOfScopeFindings = {};
+      
       // Run all analyzers
-      const findings = await this.runAnalyzers(options);
+      this.suppressedBySeverity = {};
+      this.baselinedFindings = {};
+      this.baseline = new Baseline(this.projectRoot);
+      const allFindings = await this.runAnalyzers(options);
+      
+      // Findings below the minimum severity are recorded too, so lowering it later does not report them as new
+      if (options.updateBaseline) {
+        this.baseline.write(this.unfilteredFindings);
+      }
+      
+      // Only new findings are scored, gated and reported as issues
+      const findings = this.applyBaseline(allFindings, options);
+      const severityFilter = this.getSeverityFilterSummary(options);
+      const baseline = this.getBaselineSummary(options);
+      const changedFiles = this.getChangedFilesSummary();
+      this.reporter.setRunMetadata({ severityFilter, baseline, changedFiles });
       
       // Calculate overall score
       const score = this.calculateScore(findings);
       
+      // Check the configured thresholds
+      const qualityGate = QualityGate.fromConfig(this.configManager, options.exitPolicy).evaluate(findings, score);
+      this.reporter.setRunMetadata({ qualityGate });
+      
       // Generate reports
       const reports = await this.generateReports(findings, score, options);
       
@@ -86,10 +147,14 @@ class CodeReviewTool {
         findings,
         reports,
         score: score.overall,
-        grade: score.grade
+        grade: score.grade,
+        severityFilter,
+        baseline,
+        changedFiles,
+        qualityGate
       };
 
-      console.log(`✅ Analysis complete! Score: ${score.overall}/100 (${score.grade})`);
+      logger.log(`✅ Analysis complete! Score: ${score.overall}/100 (${score.grade})`);
       
       return this.results;
     } catch (error) {
@@ -99,104 +164,388 @@ class CodeReviewTool {
   }
 
   /**
-   * Run all configured analyzers
+   * Run all configured analyzers through the analyzer registry
    */
   async runAnalyzers(options = {}) {
     const findings = {};
-    const enabledAnalyzers = this.configManager.getEnabledAnalyzers();
+    // The same results before the severity filter, for --update-baseline
+    const unfiltered = {};
+    this.unfilteredFindings = unfiltered;
+    const minSeverity = this.getMinSeverity(options);
+    const enabledAnalyzers = options.analyzers || this.configManager.getEnabledAnalyzers();
+    const { analyzers, unknown } = this.analyzerRegistry.resolve(enabledAnalyzers);
     
-    console.log(`📋 Running ${enabledAnalyzers.length} analyzers...`);
+    unknown.forEach(name => console.warn(`⚠️  Unknown analyzer: ${name}`));
+    logger.log(`📋 Running ${analyzers.length} analyzers...`);
 
-    for (const analyzerName of enabledAnalyzers) {
+    const context = {
+      projectRoot: this.projectRoot,
+      config: this.configManager,
+      ruleEngine: this.ruleEngine,
+      analyzer: this.analyzer,
+      options,
+      findings
+    };
+
+    // Inline suppression comments are read once per run, before any analyzer results are filtered
+    const suppressions = analyzers.some(analyzer => Suppressions.SUPPRESSIBLE_ANALYZERS.includes(analyzer.key))
+      ? this.scanSuppressions()
+      : null;
+
+    for (const analyzer of analyzers) {
       try {
-        console.log(`  🔍 Running ${analyzerName}...`);
-        
-        switch (analyzerName) {
-          case 'eslint':
-            findings.eslint = await this.analyzer.checkESLint();
-            break;
-          case 'typescript':
-            findings.typescript = await this.analyzer.checkTypeScript();
-            break;
-          case 'security':
-            findings.security = await this.analyzer.checkSecurity();
-            break;
-          case 'tests':
-            findings.tests = await this.analyzer.checkTests();
-            break;
-          case 'complexity':
-            findings.complexity = await this.analyzer.analyzeComplexity();
-            break;
-          case 'custom-rules':
-            findings.customRules = await this.analyzer.checkCustomRules(this.ruleEngine);
-            break;
-          case 'dependencies':
-            findings.dependencies = await this.analyzer.checkDependencies();
-            break;
-          case 'performance':
-            findings.performance = await this.analyzer.checkPerformance();
-            break;
-          case 'architecture':
-            findings.architecture = await this.analyzer.checkArchitecture();
-            break;
-          case 'bug-detection':
-            findings.bugDetection = await this.analyzer.checkBugDetection();
-            break;
-          case 'test-cases':
-            findings.testCases = await this.analyzer.checkTestCases();
-            break;
-          default:
-            console.warn(`⚠️  Unknown analyzer: ${analyzerName}`);
+        logger.log(`  🔍 Running ${analyzer.name}...`);
+        let result = await analyzer.run(context);
+        if (suppressions) {
+          result = suppressions.apply(analyzer.key, result).result;
         }
+        if (this.changedFiles) {
+          const scoped = this.changedFiles.apply(analyzer.key, result);
+          result = scoped.result;
+          this.outOfScopeFindings[analyzer.key] = scoped.outOfScope.length;
+        }
+        
+        const { result: filtered, removed } = filterFindingResult(
+          analyzer.key,
+          result,
+          item => meetsSeverity(getFindingSeverity(analyzer.key, item), minSeverity)
+        );
+        findings[analyzer.key] = filtered;
+        unfiltered[analyzer.key] = result;
+        this.suppressedBySeverity[analyzer.key] = removed.length;
       } catch (error) {
-        console.error(`❌ ${analyzerName} analyzer failed:`, error.message);
-        findings[analyzerName] = {
+        console.error(`❌ ${analyzer.name} analyzer failed:`, error.message);
+        findings[analyzer.key] = {
           success: false,
           error: error.message
         };
+        unfiltered[analyzer.key] = findings[analyzer.key];
       }
     }
 
+    if (suppressions) {
+      findings.suppressions = suppressions.getResult();
+      unfiltered.suppressions = findings.suppressions;
+    }
+
     return findings;
   }
 
+  /**
+   * Parse the inline suppression comments in the project's source files
+   */
+  scanSuppressions() {
+    // Only the files the suppressible analyzers look at, so suppressions elsewhere are not reported as unused
+    return new Suppressions(this.projectRoot, { customRuleIds: this.ruleEngine.rules.map(rule => rule.id) })
+      .scan(this.analyzer.getScopedSourceFiles(), file => this.analyzer.readSourceFile(file));
+  }
+
+  /**
+   * Stop before running analyzers when an `overrides` block is malformed, as files are matched against them mid-run
+   */
+  validateOverrides() {
+    const errors = ConfigOverrides.validate(this.configManager.getOverrides());
+    if (errors.length > 0) {
+      throw new Error(`Invalid overrides in configuration: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Warn when `include` and `extensions` match no files, instead of silently reporting zero findings
+   */
+  warnOnEmptySourceFiles() {
+    if (this.analyzer.getSourceFiles().length > 0) return;
+
+    const { include, extensions } = this.configManager.getSourceConfig();
+    console.warn(`⚠️  No source files match include [${include.join(', ')}] with extensions [${extensions.join(', ')}]; file-based analyzers will report nothing. Set "include" and "extensions" in the config.`);
+  }
+
+  /**
+   * Changed file set for options.since / options.staged (null analyzes the whole project)
+   */
+  resolveChangedFiles(options = {}) {
+    if (!options.since && !options.staged) return null;
+
+    const changedFiles = ChangedFiles.fromGit(this.projectRoot, {
+      since: options.since,
+      staged: options.staged,
+      lines: options.changedLines
+    });
+    const scope = options.staged ? 'staged' : `changed since ${options.since}`;
+    logger.log(`🔀 Analyzing ${changedFiles.files.size} file(s) ${scope}${options.changedLines ? ' (changed lines only)' : ''}`);
+
+    return changedFiles;
+  }
+
+  /**
+   * Summarize the changed file set and how many findings outside it were left out
+   */
+  getChangedFilesSummary() {
+    if (!this.changedFiles) return null;
+
+    return {
+      ...this.changedFiles.getSummary(),
+      outOfScope: Object.values(this.outOfScopeFindings).reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  /**
+   * Minimum severity for this run: the --severity option, then the configured `severity`
+   */
+  getMinSeverity(options = {}) {
+    return options.severity || this.configManager.getMinSeverity();
+  }
+
+  /**
+   * Summarize how many findings the severity filter dropped, per analyzer
+   */
+  getSeverityFilterSummary(options = {}) {
+    const byAnalyzer = {};
+    Object.entries(this.suppressedBySeverity).forEach(([key, count]) => {
+      if (count > 0) byAnalyzer[key] = count;
+    });
+
+    return {
+      minSeverity: this.getMinSeverity(options),
+      suppressed: Object.values(byAnalyzer).reduce((sum, count) => sum + count, 0),
+      byAnalyzer
+    };
+  }
+
+  /**
+   * Move findings recorded in the baseline file out of the results (unless options.baseline is false)
+   */
+  applyBaseline(findings, options = {}) {
+    if (options.baseline === false || !this.baseline.exists()) {
+      return findings;
+    }
+
+    const filtered = {};
+    Object.entries(findings).forEach(([key, result]) => {
+      const { result: newOnly, baselined } = this.baseline.apply(key, result);
+      filtered[key] = newOnly;
+      this.baselinedFindings[key] = baselined;
+    });
+
+    return filtered;
+  }
+
+  /**
+   * Summarize the baselined findings, or null when no baseline is in use
+   */
+  getBaselineSummary(options = {}) {
+    if (options.baseline === false || !this.baseline.exists()) {
+      return null;
+    }
+
+    const findings = Object.values(this.baselinedFindings)
+      .reduce((all, list) => all.concat(list), [])
+      .map(({ raw, ...finding }) => finding);
+
+    return {
+      file: Baseline.BASELINE_FILE,
+      recorded: this.baseline.load().length,
+      baselined: findings.length,
+      findings
+    };
+  }
+
+  /**
+   * Watch the project and re-run affected analyzers on change
+   * onCycle receives { changedFiles, analyzers, added, fixed, previousScore, score } after every re-run
+   */
+  async watch(options = {}, onCycle = () => {}) {
+    const initial = await this.analyze({ ...options, reporters: ['html'], additionalReporters: [] });
+    let findings = initial.findings;
+    let score = { overall: initial.score, grade: initial.grade };
+    let running = false;
+    let queued = [];
+
+    const outputDir = path.relative(this.projectRoot, this.configManager.getOutputDir());
+    const ignore = [...this.configManager.getIgnorePatterns()];
+    if (outputDir && !outputDir.startsWith('..')) {
+      ignore.push(outputDir.split(path.sep).join('/') + '/');
+    }
+
+    const runCycle = async (changedFiles) => {
+      if (running) {
+        queued.push(...changedFiles);
+        return;
+      }
+      running = true;
+
+      try {
+        const configFiles = [...CONFIG_FILES, ...this.configManager.getRuleFiles()];
+        const configChanged = changedFiles.some(file => configFiles.includes(file));
+        if (configChanged) {
+          this.configManager.loaded = false;
+          await this.configManager.loadConfig();
+          this.validateOverrides();
+          this.ruleEngine = new RuleEngine(this.configManager.getRules());
+          this.analyzer = new AnalyzerBase(this.configManager);
+          this.reporter = new ReportGenerator(this.configManager);
+          this.analyzerRegistry = AnalyzerRegistry.createDefault(this.configManager);
+          this.reporterRegistry = ReporterRegistry.createDefault(this.configManager);
+          this.baseline = new Baseline(this.projectRoot);
+          this.baselinedFindings = {};
+        }
+
+        const analyzers = configChanged
+          ? (options.analyzers || this.configManager.getEnabledAnalyzers())
+          : this.getAffectedAnalyzers(changedFiles, options.analyzers);
+
+        if (analyzers.length > 0) {
+          const rerun = this.applyBaseline(await this.runAnalyzers({ ...options, analyzers }), options);
+          const nextFindings = configChanged ? rerun : { ...findings, ...rerun };
+          const nextScore = this.calculateScore(nextFindings);
+          const delta = diffFindings(findings, nextFindings);
+
+          this.reporter.setRunMetadata({
+            severityFilter: this.getSeverityFilterSummary(options),
+            baseline: this.getBaselineSummary(options),
+            qualityGate: QualityGate.fromConfig(this.configManager, options.exitPolicy).evaluate(nextFindings, nextScore)
+          });
+          await this.reporter.generateHTMLReport(nextFindings, nextScore);
+
+          onCycle({
+            changedFiles,
+            analyzers,
+            added: delta.added,
+            fixed: delta.fixed,
+            total: delta.total,
+            previousScore: score,
+            score: nextScore
+          });
+
+          findings = nextFindings;
+          score = nextScore;
+          this.results = { ...this.results, findings, score: score.overall, grade: score.grade };
+        } else {
+          onCycle({ changedFiles, analyzers, added: [], fixed: [], previousScore: score, score });
+        }
+      } catch (error) {
+        console.error('❌ Watch cycle failed:', error.message);
+      } finally {
+        running = false;
+        if (queued.length > 0) {
+          const next = [...new Set(queued)];
+          queued = [];
+          await runCycle(next);
+        }
+      }
+    };
+
+    this.watcher = new FileWatcher(this.projectRoot, {
+      ignore,
+      debounceMs: options.debounceMs
+    }).start(runCycle);
+
+    return this.watcher;
+  }
+
+  /**
+   * Stop watch mode
+   */
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Get the enabled analyzers that are affected by a set of changed files
+   */
+  getAffectedAnalyzers(changedFiles, analyzers = null) {
+    const enabledAnalyzers = analyzers || this.configManager.getEnabledAnalyzers();
+
+    return this.analyzerRegistry.resolve(enabledAnalyzers).analyzers
+      .filter(analyzer => changedFiles.some(file => analyzer.triggers.some(trigger => trigger.test(file))))
+      .map(analyzer => analyzer.name);
+  }
+
   /**
    * Calculate overall quality score
+   * Every weighted analyzer that ran counts towards the maximum and loses its penalties per finding;
+   * one whose result carries an `error` (e.g. no tsconfig.json) scores zero, or with `scoring.skipUnavailable`
+   * is left out. Analyzers that were not part of this run are left out.
    */
   calculateScore(findings) {
     let totalScore = 0;
     let maxScore = 0;
-    const weights = {
-      eslint: 15,
-      typescript: 15,
-      security: 25,
-      'test-cases': 10,  // Test cases worth 10 points (weighted coverage inside analyzer)
-      complexity: 10,
-      dependencies: 10,
-      performance: 10,
-      architecture: 10,
-      'bug-detection': 10
-    };
+    const model = this.getScoringModel();
+
+    Object.entries(model.weights).forEach(([analyzer, weight]) => {
+      const result = findings[this.getFindingsKey(analyzer)];
+      if (!this.isScored(result, model)) return;
 
-    Object.entries(weights).forEach(([analyzer, weight]) => {
       maxScore += weight;
-      
-      if (findings[analyzer] && findings[analyzer].success !== false) {
-        const analyzerScore = this.getAnalyzerScore(analyzer, findings[analyzer]);
-        totalScore += (analyzerScore / 100) * weight;
-      }
+      totalScore += (this.getResultScore(analyzer, result, model) / 100) * weight;
     });
 
-    const overall = Math.round((totalScore / maxScore) * 100);
-    const grade = this.getGrade(overall);
+    const overall = maxScore > 0 ? Math.round((totalScore / maxScore) * 100) : 100;
+    const grade = this.getGrade(overall, model.grades);
 
     return {
       overall,
       grade,
-      breakdown: this.getScoreBreakdown(findings, weights)
+      breakdown: this.getScoreBreakdown(findings, model),
+      model
+    };
+  }
+
+  /**
+   * Check whether an analyzer result takes part in scoring
+   */
+  isScored(result, model) {
+    return Boolean(result) && (!model.skipUnavailable || !result.error);
+  }
+
+  /**
+   * Score of an analyzer result that takes part in scoring: zero when the analyzer could not run
+   */
+  getResultScore(analyzer, result, model) {
+    return result.error ? 0 : this.getAnalyzerScore(analyzer, result, model);
+  }
+
+  /**
+   * Effective scoring model: weights, penalty factors and grade boundaries
+   */
+  getScoringModel() {
+    const scoring = this.configManager.getScoringConfig();
+
+    return {
+      weights: this.getScoreWeights(scoring.weights),
+      penalties: scoring.penalties,
+      grades: scoring.grades,
+      skipUnavailable: scoring.skipUnavailable === true
     };
   }
 
+  /**
+   * Get score weights declared by the registered analyzers, overridden by the configured weights
+   */
+  getScoreWeights(configuredWeights = {}) {
+    const weights = {};
+    
+    this.analyzerRegistry.list().forEach(analyzer => {
+      const weight = configuredWeights[analyzer.name] !== undefined ? configuredWeights[analyzer.name] : analyzer.weight;
+      if (weight > 0) {
+        weights[analyzer.name] = weight;
+      }
+    });
+
+    return weights;
+  }
+
+  /**
+   * Get the findings key an analyzer stores its result under
+   */
+  getFindingsKey(analyzerName) {
+    const analyzer = this.analyzerRegistry.get(analyzerName);
+    return analyzer ? analyzer.key : analyzerName;
+  }
+
   /**
    * Calculate weighted test score based on file type priorities
    * Core business logic (controllers, services, utils, config, validation): 80% weight (8 points out of 10)
@@ -205,10 +554,10 @@ class CodeReviewTool {
   calculateWeightedTestScore(findings) {
     // Check if we have weighted coverage data
     if (findings.weightedCoverage && findings.weightedCoverage.weightedScore !== undefined) {
-      console.log(`🎯 Using weighted test score: ${findings.weightedCoverage.weightedScore}%`);
-      console.log(`   Core Logic Coverage: ${findings.weightedCoverage.coreLogicCoverage}% (${findings.weightedCoverage.coreLogicFiles} files) - ${findings.weightedCoverage.breakdown.coreLogic.points} points`);
-      console.log(`   Infrastructure Coverage: ${findings.weightedCoverage.infrastructureCoverage}% (${findings.weightedCoverage.infrastructureFiles} files) - ${findings.weightedCoverage.breakdown.infrastructure.points} points`);
-      console.log(`   Total Test Points: ${(findings.weightedCoverage.breakdown.coreLogic.points + findings.weightedCoverage.breakdown.infrastructure.points).toFixed(1)}/10`);
+      logger.log(`🎯 Using weighted test score: ${findings.weightedCoverage.weightedScore}%`);
+      logger.log(`   Core Logic Coverage: ${findings.weightedCoverage.coreLogicCoverage}% (${findings.weightedCoverage.coreLogicFiles} files) - ${findings.weightedCoverage.breakdown.coreLogic.points} points`);
+      logger.log(`   Infrastructure Coverage: ${findings.weightedCoverage.infrastructureCoverage}% (${findings.weightedCoverage.infrastructureFiles} files) - ${findings.weightedCoverage.breakdown.infrastructure.points} points`);
+      logger.log(`   Total Test Points: ${(findings.weightedCoverage.breakdown.coreLogic.points + findings.weightedCoverage.breakdown.infrastructure.points).toFixed(1)}/10`);
       return Math.min(100, findings.weightedCoverage.weightedScore);
     }
     
@@ -240,19 +589,20 @@ class CodeReviewTool {
   /**
    * Get score for individual analyzer
    */
-  getAnalyzerScore(analyzer, findings) {
+  getAnalyzerScore(analyzer, findings, model = this.getScoringModel()) {
+    const penalties = model.penalties[analyzer] || {};
+    const penalty = (kind, count) => (penalties[kind] || 0) * (count || 0);
+    
     switch (analyzer) {
       case 'eslint':
         // Score based on number of errors/warnings
-        const issues = (findings.errors || 0) + (findings.warnings || 0) * 0.5;
-        return Math.max(0, 100 - issues * 2);
+        return Math.max(0, 100 - penalty('error', findings.errors) - penalty('warning', findings.warnings));
       
       case 'typescript':
-        return findings.errors > 0 ? 0 : 100;
+        return Math.max(0, 100 - penalty('error', findings.errors));
       
       case 'security':
-        const vulns = findings.vulnerabilities || 0;
-        return Math.max(0, 100 - vulns * 20);
+        return Math.max(0, 100 - penalty('vulnerability', findings.vulnerabilities));
       
       case 'tests':
         if (findings.coverage && typeof findings.coverage === 'object') {
@@ -265,8 +615,8 @@ class CodeReviewTool {
       
       case 'test-cases':
         // Use test-cases analyzer for weighted scoring
-        if (findings.testCases && findings.testCases.weightedCoverage) {
-          const weightedScore = this.calculateWeightedTestScore(findings.testCases);
+        if (findings.weightedCoverage) {
+          const weightedScore = this.calculateWeightedTestScore(findings);
           return Math.min(100, weightedScore);
         }
         return 0;
@@ -274,77 +624,68 @@ class CodeReviewTool {
       case 'complexity':
         return findings.score || 100;
       
-      case 'dependencies':
+      case 'custom-rules': {
+        // Each violation costs the penalty for its severity
+        const deducted = (findings.details || [])
+          .reduce((sum, violation) => sum + penalty(normalizeSeverity(violation.severity), 1), 0);
+        return Math.max(0, 100 - deducted);
+      }
+      
+      case 'dependencies': {
         let depScore = 100;
-        if (findings.circularDependencies && !findings.circularDependencies.success) {
-          depScore -= 30;
-        }
-        if (findings.outdatedPackages && !findings.outdatedPackages.success) {
-          depScore -= 20;
-        }
-        if (findings.securityVulnerabilities && !findings.securityVulnerabilities.success) {
-          depScore -= 50;
-        }
+        ['circularDependencies', 'outdatedPackages', 'securityVulnerabilities'].forEach(check => {
+          if (findings[check] && !findings[check].success) {
+            depScore -= penalty(check, 1);
+          }
+        });
         return Math.max(0, depScore);
+      }
       
       case 'performance':
-        let perfScore = 100;
-        if (findings.performanceIssues) {
-          perfScore -= findings.performanceIssues.length * 10;
-        }
-        return Math.max(0, perfScore);
+        return Math.max(0, 100 - penalty('performanceIssue', (findings.performanceIssues || []).length));
       
       case 'architecture':
-        let archScore = 100;
-        if (findings.antiPatterns) {
-          archScore -= findings.antiPatterns.length * 15;
-        }
-        return Math.max(0, archScore);
+        return Math.max(0, 100 - penalty('antiPattern', (findings.antiPatterns || []).length));
       
       case 'bug-detection':
-        let bugScore = 100;
-        if (findings.bugs) {
-          bugScore -= findings.bugs.length * 25; // Critical bugs heavily penalized
-        }
-        if (findings.potentialIssues) {
-          bugScore -= findings.potentialIssues.length * 5;
-        }
-        if (findings.securityRisks) {
-          bugScore -= findings.securityRisks.length * 30; // Security risks heavily penalized
-        }
-        if (findings.performanceIssues) {
-          bugScore -= findings.performanceIssues.length * 10;
-        }
-        return Math.max(0, bugScore);
+        // Bugs and security risks carry the heaviest default penalties
+        return Math.max(0, 100 -
+          penalty('bug', (findings.bugs || []).length) -
+          penalty('potentialIssue', (findings.potentialIssues || []).length) -
+          penalty('securityRisk', (findings.securityRisks || []).length) -
+          penalty('performanceIssue', (findings.performanceIssues || []).length));
       
-      default:
-        return 100;
+      default: {
+        // Plugin analyzers may provide their own scoring
+        const plugin = this.analyzerRegistry.get(analyzer);
+        return plugin && plugin.score ? plugin.score(findings) : 100;
+      }
     }
   }
 
   /**
    * Get letter grade from numeric score
    */
-  getGrade(score) {
-    if (score >= 90) return 'A';
-    if (score >= 80) return 'B';
-    if (score >= 70) return 'C';
-    if (score >= 60) return 'D';
-    return 'F';
+  getGrade(score, grades = this.getScoringModel().grades) {
+    const grade = Object.entries(grades)
+      .sort(([, a], [, b]) => b - a)
+      .find(([, minimum]) => score >= minimum);
+    return grade ? grade[0] : 'F';
   }
 
   /**
    * Get detailed score breakdown
    */
-  getScoreBreakdown(findings, weights) {
+  getScoreBreakdown(findings, model) {
     const breakdown = {};
     
-    Object.entries(weights).forEach(([analyzer, weight]) => {
-      if (findings[analyzer]) {
+    Object.entries(model.weights).forEach(([analyzer, weight]) => {
+      const result = findings[this.getFindingsKey(analyzer)];
+      if (this.isScored(result, model)) {
         breakdown[analyzer] = {
-          score: this.getAnalyzerScore(analyzer, findings[analyzer]),
+          score: this.getResultScore(analyzer, result, model),
           weight,
-          findings: findings[analyzer]
+          findings: result
         };
       }
     });
@@ -353,77 +694,43 @@ class CodeReviewTool {
   }
 
   /**
-   * Generate all configured reports
+   * Generate all configured reports through the reporter registry
+   * Command line reporters (options.reporters) replace the configured ones;
+   * options.additionalReporters (e.g. from --ai-prompts) are added on top
    */
   async generateReports(findings, score, options = {}) {
     const reports = {};
+    const configured = options.reporters || this.configManager.getEnabledReporters();
+    const enabledReporters = [...new Set([...configured, ...(options.additionalReporters || [])])];
     
-    // Determine if this is AI testing mode
-    const isAITesting = options.aiAnalysis || options.aiPrompts || 
-                       (options.reporters && (options.reporters.includes('ai-analysis') || options.reporters.includes('ai-prompts')));
-    
-    // Use command line reporters if provided, otherwise use config
-    let enabledReporters = options.reporters || this.configManager.getEnabledReporters();
-    
-    // Override reporters based on testing mode
-    if (isAITesting) {
-      // For AI testing: HTML + AI summary MD
-      enabledReporters = ['html', 'ai-summary'];
-    } else {
-      // For general testing: HTML only
-      enabledReporters = ['html'];
-    }
-    
-    console.log(`📊 Generating ${enabledReporters.length} reports...`);
+    logger.log(`📊 Generating ${enabledReporters.length} reports...`);
+
+    const context = {
+      projectRoot: this.projectRoot,
+      config: this.configManager,
+      outputDir: enabledReporters.length > 0 ? this.configManager.getOutputDir() : null,
+      reportGenerator: this.reporter,
+      analyzer: this.analyzer,
+      ruleEngine: this.ruleEngine,
+      tool: this,
+      options,
+      findings,
+      issues: flattenFindings(findings),
+      score,
+      metadata: this.reporter.runMetadata
+    };
 
     for (const reporterName of enabledReporters) {
+      const reporter = this.reporterRegistry.get(reporterName);
+      if (!reporter) {
+        console.warn(`⚠️  Unknown reporter: ${reporterName}`);
+        continue;
+      }
+
       try {
-        switch (reporterName) {
-          case 'html':
-            reports.html = await this.reporter.generateHTMLReport(findings, score);
-            break;
-          case 'ai-summary':
-            // Generate AI review summary MD file
-            const aiAnalysis = await this.analyzer.performAICodeAnalysis(findings);
-            const aiRecommendations = this.analyzer.generateAIRecommendations(findings, score);
-            reports.aiSummary = await this.reporter.generateAISummaryMD(findings, score, aiAnalysis, aiRecommendations);
-            break;
-          case 'json':
-            // Only generate if explicitly requested
-            if (options.reporters && options.reporters.includes('json')) {
-              reports.json = await this.reporter.generateJSONReport(findings, score);
-            }
-            break;
-          case 'markdown':
-            // Only generate if explicitly requested
-            if (options.reporters && options.reporters.includes('markdown')) {
-              reports.markdown = await this.reporter.generateMarkdownReport(findings, score);
-            }
-            break;
-          case 'ai-prompts':
-            // Only generate if explicitly requested
-            if (options.reporters && options.reporters.includes('ai-prompts')) {
-              const aiPrompts = await this.analyzer.generateCursorAIPrompts(findings);
-              reports.aiPrompts = await this.reporter.generateAIPrompts(findings, score, this.ruleEngine, aiPrompts);
-            }
-            break;
-          case 'ai-analysis':
-            // Only generate if explicitly requested
-            if (options.reporters && options.reporters.includes('ai-analysis')) {
-              const aiAnalysis = await this.analyzer.performAICodeAnalysis(findings);
-              const aiRecommendations = this.analyzer.generateAIRecommendations(findings, score);
-              reports.aiAnalysis = {
-                analysis: aiAnalysis,
-                recommendations: aiRecommendations,
-                summary: this.generateAISummary(aiAnalysis, aiRecommendations)
-              };
-            }
-            break;
-          default:
-            console.warn(`⚠️  Unknown reporter: ${reporterName}`);
-        }
+        reports[reporter.key] = await reporter.generate(context);
       } catch (error) {
-        console.error(`❌ ${reporterName} reporter failed:`, error.message);
+        console.error(`❌ ${reporter.name} reporter failed:`, error.message);
       }
     }
 
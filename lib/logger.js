@@ -0,0 +1,32 @@
+const util = require('util');
+
+/**
+ * Logger - progress and status output of the tool
+ * Goes to the console by default; `analyze --format` moves it to stderr so stdout only holds the formatted findings.
+ */
+
+// Stream progress output is written to; null uses console.log
+let stream = null;
+
+/**
+ * Print a progress or status line (console.log arguments)
+ */
+function log(...args) {
+  if (stream) {
+    stream.write(`${util.format(...args)}\n`);
+  } else {
+    console.log(...args);
+  }
+}
+
+/**
+ * Send progress output to a stream (e.g. process.stderr), or back to the console with null
+ */
+function setStream(target) {
+  stream = target;
+}
+
+module.exports = {
+  log,
+  setStream
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Plugin Registry - shared registration and discovery for analyzers and reporters
+ *
+ * Plugins are registered by name. Besides the built-ins, plugins are loaded from
+ * module paths listed in a config list (e.g. "./tools/my-plugin.js") and from
+ * installed packages whose name starts with the registry's package prefix.
+ */
+class PluginRegistry {
+  constructor(kind, packagePrefix) {
+    this.kind = kind;
+    this.packagePrefix = packagePrefix;
+    this.plugins = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Validate a plugin before registration - overridden by subclasses
+   */
+  validate(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      return [`${this.capitalizedKind()} module must export an object`];
+    }
+
+    return !plugin.name || typeof plugin.name !== 'string' ? ["Missing required field 'name'"] : [];
+  }
+
+  /**
+   * Defaults applied to every registered plugin - overridden by subclasses
+   */
+  getDefaults(plugin) {
+    return { key: PluginRegistry.toKey(plugin.name) };
+  }
+
+  /**
+   * Register a plugin module
+   */
+  register(plugin, options = {}) {
+    const errors = this.validate(plugin);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${this.kind}${plugin && plugin.name ? ` '${plugin.name}'` : ''}: ${errors.join(', ')}`);
+    }
+
+    if (this.plugins.has(plugin.name) && !options.override) {
+      throw new Error(`${this.capitalizedKind()} '${plugin.name}' is already registered`);
+    }
+
+    this.plugins.set(plugin.name, {
+      ...this.getDefaults(plugin),
+      ...plugin,
+      builtIn: !!options.builtIn,
+      source: options.source || (options.builtIn ? 'built-in' : 'custom')
+    });
+
+    return this;
+  }
+
+  /**
+   * Load plugins from config module paths and installed packages
+   */
+  loadPlugins(configManager, configKey) {
+    const projectRoot = configManager.projectRoot || process.cwd();
+    const config = configManager.loaded ? configManager.getConfig() : {};
+
+    this.loadModulePaths(config[configKey] || [], projectRoot);
+
+    this.findPluginPackages(projectRoot)
+      .forEach(packageDir => this.loadPlugin(packageDir, path.basename(packageDir)));
+
+    return this;
+  }
+
+  /**
+   * Load the module path entries of a list (e.g. from the command line); names are skipped
+   */
+  loadModulePaths(entries, projectRoot) {
+    entries
+      .filter(entry => PluginRegistry.isModulePath(entry) && !this.aliases.has(entry))
+      .forEach(entry => this.loadPlugin(path.resolve(projectRoot, entry), entry));
+
+    return this;
+  }
+
+  /**
+   * Load a single plugin module, warning instead of failing the run
+   */
+  loadPlugin(modulePath, reference) {
+    try {
+      const plugin = require(modulePath);
+      const existing = plugin && this.plugins.get(plugin.name);
+
+      // Loading the same module twice (e.g. listed in config and installed) is not a conflict
+      if (!existing || existing.modulePath !== modulePath) {
+        this.register({ ...plugin, modulePath }, { source: reference });
+      }
+      this.aliases.set(reference, plugin.name);
+    } catch (error) {
+      console.warn(`⚠️  Could not load ${this.kind} '${reference}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Find installed plugin packages (including scoped ones)
+   */
+  findPluginPackages(projectRoot) {
+    const nodeModules = path.join(projectRoot, 'node_modules');
+    const packages = [];
+
+    if (!fs.existsSync(nodeModules)) {
+      return packages;
+    }
+
+    try {
+      fs.readdirSync(nodeModules).forEach(entry => {
+        if (entry.startsWith(this.packagePrefix)) {
+          packages.push(path.join(nodeModules, entry));
+        } else if (entry.startsWith('@')) {
+          fs.readdirSync(path.join(nodeModules, entry))
+            .filter(scoped => scoped.startsWith(this.packagePrefix))
+            .forEach(scoped => packages.push(path.join(nodeModules, entry, scoped)));
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not scan node_modules for ${this.kind}s: ${error.message}`);
+    }
+
+    return packages;
+  }
+
+  /**
+   * Get plugin by name (or by the config path / package it was loaded from)
+   */
+  get(name) {
+    return this.plugins.get(this.aliases.get(name) || name);
+  }
+
+  /**
+   * Check if a plugin is registered
+   */
+  has(name) {
+    return !!this.get(name);
+  }
+
+  /**
+   * Get all registered plugin names
+   */
+  names() {
+    return Array.from(this.plugins.keys());
+  }
+
+  /**
+   * Get all registered plugins
+   */
+  list() {
+    return Array.from(this.plugins.values());
+  }
+
+  capitalizedKind() {
+    return this.kind.charAt(0).toUpperCase() + this.kind.slice(1);
+  }
+
+  /**
+   * Check whether a config entry refers to a module path rather than a plugin name
+   */
+  static isModulePath(entry) {
+    return typeof entry === 'string' && (entry.startsWith('.') || path.isAbsolute(entry));
+  }
+
+  /**
+   * Convert a plugin name to its result key (bug-detection -> bugDetection)
+   */
+  static toKey(name) {
+    return name.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+  }
+}
+
+module.exports = PluginRegistry;
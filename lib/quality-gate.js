@@ -0,0 +1,159 @@
+const { filterFindingResult } = require('./findings');
+const ConfigOverrides = require('./config-overrides');
+
+// How each configured threshold is measured: the findings key, the result value and whether it is an upper or lower bound;
+// `perFile` thresholds count findings with a file, so `overrides` blocks can set them for some paths
+const THRESHOLD_CHECKS = {
+  'eslint.maxErrors': { key: 'eslint', type: 'max', read: result => result.errors, perFile: true },
+  'eslint.maxWarnings': { key: 'eslint', type: 'max', read: result => result.warnings, perFile: true },
+  'typescript.maxErrors': { key: 'typescript', type: 'max', read: result => result.errors, perFile: true },
+  'security.maxVulnerabilities': { key: 'security', type: 'max', read: result => result.vulnerabilities },
+  'tests.minCoverage': {
+    key: 'tests',
+    type: 'min',
+    read: result => typeof result.coverage === 'number'
+      ? result.coverage
+      : result.coverage?.statements?.pct ?? result.coverage?.statements
+  },
+  'complexity.minScore': { key: 'complexity', type: 'min', read: result => result.score }
+};
+
+// Exit code policies: fail on any breached threshold, fail below a minimum overall score, or only warn
+const EXIT_POLICIES = ['gate', 'score', 'warn'];
+
+// Exit code of `analyze --fail-on` when findings block, distinct from a failed gate or a failed run (1)
+const FAIL_ON_EXIT_CODE = 2;
+
+/**
+ * Quality Gate - checks the configured thresholds against analyzer results and decides the exit code
+ */
+class QualityGate {
+  constructor(thresholds = {}, options = {}) {
+    this.thresholds = thresholds;
+    this.policy = options.policy || 'gate';
+    this.minScore = options.minScore !== undefined ? options.minScore : 60;
+    this.overrides = new ConfigOverrides(options.overrides || []);
+  }
+
+  /**
+   * Create a gate from the loaded configuration, with an optional policy override (e.g. from the CLI)
+   */
+  static fromConfig(configManager, policy = null) {
+    const gateConfig = configManager.getQualityGateConfig();
+    return new QualityGate(configManager.getThresholds(), {
+      ...gateConfig,
+      policy: policy || gateConfig.policy,
+      overrides: configManager.getOverrides()
+    });
+  }
+
+  /**
+   * Evaluate every threshold and the exit policy
+   */
+  evaluate(findings, score) {
+    const checks = [];
+    const scopes = this.overrides.getThresholdOverrides();
+    // Findings in a file belong to the last `overrides` block with thresholds matching it, the rest to the global thresholds
+    const scopeOf = item => (item.file ? scopes.filter(scope => ConfigOverrides.matches(scope, item.file)).pop() || null : null);
+
+    Object.entries(this.thresholds).forEach(([analyzer, limits]) => {
+      Object.entries(limits || {}).forEach(([name, threshold]) => {
+        const scopedFindings = scopes.length > 0 ? QualityGate.selectFindings(`${analyzer}.${name}`, findings, item => !scopeOf(item)) : findings;
+        checks.push(this.evaluateThreshold(`${analyzer}.${name}`, threshold, scopedFindings));
+      });
+    });
+
+    scopes.forEach(scope => {
+      checks.push(...this.evaluateScope(scope, findings, item => scopeOf(item) === scope));
+    });
+
+    const failedChecks = checks.filter(check => check.status === 'failed');
+    const passed = failedChecks.length === 0;
+    const overall = score ? score.overall : 0;
+
+    let exitCode = 0;
+    if (this.policy === 'gate' && !passed) exitCode = 1;
+    if (this.policy === 'score' && overall < this.minScore) exitCode = 1;
+
+    return {
+      passed,
+      policy: this.policy,
+      minScore: this.minScore,
+      score: overall,
+      exitCode,
+      checks,
+      failed: failedChecks.length
+    };
+  }
+
+  /**
+   * Evaluate the thresholds of an `overrides` block (merged over the global ones) against the findings in its files
+   */
+  evaluateScope(scope, findings, belongs) {
+    const thresholds = {};
+    [this.thresholds, scope.thresholds].forEach(layer => {
+      Object.entries(layer).forEach(([analyzer, limits]) => {
+        thresholds[analyzer] = { ...thresholds[analyzer], ...limits };
+      });
+    });
+    const label = (scope.files || []).join(', ');
+
+    return Object.entries(thresholds).flatMap(([analyzer, limits]) => Object.entries(limits || {}).map(([name, threshold]) => {
+      const checkName = `${analyzer}.${name}`;
+      const definition = THRESHOLD_CHECKS[checkName];
+      const scoped = { name: `${checkName} [${label}]`, scope: ConfigOverrides.describe(scope) };
+
+      if (!definition || !definition.perFile) {
+        // Inherited thresholds that cannot be scoped are already reported by the global check
+        if (!scope.thresholds[analyzer] || scope.thresholds[analyzer][name] === undefined) return null;
+        if (definition) {
+          return { ...scoped, threshold, actual: null, status: 'skipped', type: definition.type, reason: 'Not measurable per file' };
+        }
+      }
+
+      return { ...this.evaluateThreshold(checkName, threshold, QualityGate.selectFindings(checkName, findings, belongs)), ...scoped };
+    }).filter(Boolean));
+  }
+
+  /**
+   * Findings with the result of a per-file threshold's analyzer reduced to the items that pass `keep`
+   */
+  static selectFindings(name, findings, keep) {
+    const definition = THRESHOLD_CHECKS[name];
+    if (!definition || !definition.perFile || !findings[definition.key]) return findings;
+
+    return { ...findings, [definition.key]: filterFindingResult(definition.key, findings[definition.key], keep).result };
+  }
+
+  /**
+   * Evaluate one "<analyzer>.<threshold>" entry; analyzers that did not run or have no value are skipped
+   */
+  evaluateThreshold(name, threshold, findings) {
+    const definition = THRESHOLD_CHECKS[name];
+    const check = { name, threshold, actual: null, status: 'skipped' };
+
+    if (!definition) {
+      return { ...check, reason: 'Unknown threshold' };
+    }
+
+    const result = findings[definition.key];
+    const actual = result ? definition.read(result) : undefined;
+    if (typeof actual !== 'number') {
+      return { ...check, type: definition.type, reason: result ? 'No result available' : 'Analyzer not run' };
+    }
+
+    const ok = definition.type === 'max' ? actual <= threshold : actual >= threshold;
+    return {
+      ...check,
+      type: definition.type,
+      actual,
+      status: ok ? 'passed' : 'failed'
+    };
+  }
+}
+
+QualityGate.THRESHOLD_CHECKS = THRESHOLD_CHECKS;
+QualityGate.EXIT_POLICIES = EXIT_POLICIES;
+QualityGate.FAIL_ON_EXIT_CODE = FAIL_ON_EXIT_CODE;
+
+module.exports = QualityGate;
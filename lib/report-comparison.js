@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { diffFindings, formatLocation } = require('./findings');
+
+// Output formats of `compare`
+const COMPARE_FORMATS = ['terminal', 'markdown', 'json'];
+
+/**
+ * Report Comparison - diffs two JSON reports (e.g. of two releases) by finding fingerprint and score
+ */
+class ReportComparison {
+  constructor(previous, current, files = {}) {
+    this.previous = previous;
+    this.current = current;
+    this.files = files;
+  }
+
+  /**
+   * Load a report written by the json reporter
+   */
+  static load(file) {
+    let report;
+    try {
+      report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read report ${file}: ${error.message}`);
+    }
+
+    if (!report || typeof report.findings !== 'object' || !report.score) {
+      throw new Error(`${file} is not a self-serve-review JSON report (missing findings or score)`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Create a comparison from two report files
+   */
+  static fromFiles(previousFile, currentFile) {
+    return new ReportComparison(ReportComparison.load(previousFile), ReportComparison.load(currentFile), {
+      previous: previousFile,
+      current: currentFile
+    });
+  }
+
+  /**
+   * Compare findings, overall score and per-analyzer scores
+   */
+  compare() {
+    if (this.result) return this.result;
+
+    const { added, fixed, unchanged } = diffFindings(this.previous.findings, this.current.findings);
+    const previousScore = this.previous.score;
+    const currentScore = this.current.score;
+    const scoreDelta = (currentScore.overall || 0) - (previousScore.overall || 0);
+
+    const previousBreakdown = previousScore.breakdown || {};
+    const currentBreakdown = currentScore.breakdown || {};
+    const analyzers = [...new Set([...Object.keys(previousBreakdown), ...Object.keys(currentBreakdown)])]
+      .map(analyzer => {
+        const before = previousBreakdown[analyzer] ? previousBreakdown[analyzer].score : null;
+        const after = currentBreakdown[analyzer] ? currentBreakdown[analyzer].score : null;
+        return {
+          analyzer,
+          previous: before,
+          current: after,
+          delta: before !== null && after !== null ? after - before : null
+        };
+      });
+
+    this.result = {
+      previous: this.describeReport(this.previous, this.files.previous),
+      current: this.describeReport(this.current, this.files.current),
+      score: {
+        previous: previousScore.overall,
+        current: currentScore.overall,
+        delta: scoreDelta
+      },
+      grade: {
+        previous: previousScore.grade,
+        current: currentScore.grade,
+        changed: previousScore.grade !== currentScore.grade
+      },
+      verdict: scoreDelta < 0 ? 'regressed' : scoreDelta > 0 ? 'improved' : 'unchanged',
+      analyzers,
+      added,
+      fixed,
+      unchanged
+    };
+
+    return this.result;
+  }
+
+  /**
+   * File, timestamp and project of one compared report
+   */
+  describeReport(report, file) {
+    const metadata = report.metadata || {};
+    return {
+      file: file ? path.basename(file) : null,
+      timestamp: metadata.timestamp || null,
+      project: metadata.project || null
+    };
+  }
+
+  /**
+   * JSON output; the analyzer specific raw items are left out of the findings
+   */
+  toJSON() {
+    const result = this.compare();
+    const strip = list => list.map(({ raw, ...finding }) => finding);
+
+    return {
+      ...result,
+      added: strip(result.added),
+      fixed: strip(result.fixed),
+      unchanged: strip(result.unchanged),
+      summary: {
+        added: result.added.length,
+        fixed: result.fixed.length,
+        unchanged: result.unchanged.length
+      }
+    };
+  }
+
+  /**
+   * Markdown output, e.g. for release notes or a merge request comment
+   */
+  toMarkdown() {
+    const result = this.compare();
+    const signed = value => value === null ? '—' : `${value > 0 ? '+' : ''}${value}`;
+    const label = report => report.file || report.timestamp || 'report';
+    const findingRows = list => list.map(finding =>
+      `| ${finding.severity} | ${finding.analyzer} | ${finding.ruleId} | ${formatLocation(finding)} | ${(finding.message || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')} |`
+    ).join('\n');
+
+    let content = `# 🔀 Code Review Comparison
+
+**${label(result.previous)}** → **${label(result.current)}**
+
+## 📊 Score
+
+| | Previous | Current | Change |
+|---|---|---|---|
+| Overall | ${result.score.previous} | ${result.score.current} | ${signed(result.score.delta)} |
+| Grade | ${result.grade.previous} | ${result.grade.current} | ${result.grade.changed ? `${result.grade.previous} → ${result.grade.current}` : 'unchanged'} |
+${result.analyzers.map(entry => `| ${entry.analyzer} | ${entry.previous ?? '—'} | ${entry.current ?? '—'} | ${signed(entry.delta)} |`).join('\n')}
+
+**Verdict:** ${result.verdict} · ${result.added.length} new, ${result.fixed.length} fixed, ${result.unchanged.length} unchanged findings
+`;
+
+    [['🆕 New Findings', result.added], ['✅ Fixed Findings', result.fixed]].forEach(([title, list]) => {
+      if (list.length === 0) return;
+      content += `
+## ${title} (${list.length})
+
+| Severity | Analyzer | Rule | Location | Message |
+|----------|----------|------|----------|---------|
+${findingRows(list)}
+`;
+    });
+
+    return content;
+  }
+}
+
+ReportComparison.COMPARE_FORMATS = COMPARE_FORMATS;
+
+module.exports = ReportComparison;
@@ -1,5 +1,59 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { flattenFindings } = require('./findings');
+const { normalizeSeverity } = require('./severity');
+const { version: toolVersion } = require('../package.json');
+const logger = require('./logger');
+
+// Severities mapped to SARIF result levels
+const SARIF_LEVELS = {
+  critical: 'error',
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+// Severities mapped to CodeClimate issue severities
+const CODECLIMATE_SEVERITIES = {
+  critical: 'critical',
+  error: 'major',
+  warning: 'minor',
+  info: 'info'
+};
+
+// Finding categories (built-in and custom rule categories) mapped to CodeClimate issue categories
+const CODECLIMATE_CATEGORIES = {
+  style: 'Style',
+  'type-safety': 'Bug Risk',
+  complexity: 'Complexity',
+  'bug-risk': 'Bug Risk',
+  suppression: 'Clarity',
+  security: 'Security',
+  authentication: 'Security',
+  performance: 'Performance',
+  maintainability: 'Clarity',
+  logging: 'Clarity',
+  'error-handling': 'Bug Risk',
+  monitoring: 'Bug Risk',
+  database: 'Bug Risk',
+  routing: 'Bug Risk',
+  proxy: 'Bug Risk',
+  api: 'Compatibility',
+  containerization: 'Compatibility'
+};
+
+// Severities mapped to checkstyle / compact console severities
+const CHECKSTYLE_SEVERITIES = {
+  critical: 'error',
+  error: 'error',
+  warning: 'warning',
+  info: 'info'
+};
+
+// Formats that `analyze --format` streams to stdout
+const CONSOLE_FORMATS = ['checkstyle', 'compact'];
 
 /**
  * Report Generator - generates various types of reports from analysis results
@@ -8,6 +62,14 @@ class ReportGenerator {
   constructor(configManager) {
     this.config = configManager;
     this.timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+    this.runMetadata = {};
+  }
+
+  /**
+   * Record run details (e.g. the severity filter) that every report should include
+   */
+  setRunMetadata(metadata) {
+    this.runMetadata = { ...this.runMetadata, ...metadata };
   }
 
   /**
@@ -21,7 +83,7 @@ class ReportGenerator {
     
     fs.writeFileSync(reportPath, htmlContent);
     
-    console.log(`📊 HTML Report: ${reportPath}`);
+    logger.log(`📊 HTML Report: ${reportPath}`);
     
     return {
       type: 'html',
@@ -43,7 +105,8 @@ class ReportGenerator {
         version: '1.0.0',
         tool: '@self-serve/code-review-tool',
         project: path.basename(this.config.projectRoot),
-        config: this.config.getSummary()
+        config: this.config.getSummary(),
+        ...this.runMetadata
       },
       score,
       findings,
@@ -52,7 +115,7 @@ class ReportGenerator {
     
     fs.writeFileSync(reportPath, JSON.stringify(reportData, null, 2));
     
-    console.log(`📊 JSON Report: ${reportPath}`);
+    logger.log(`📊 JSON Report: ${reportPath}`);
     
     return {
       type: 'json',
@@ -61,6 +124,422 @@ class ReportGenerator {
     };
   }
 
+  /**
+   * Generate SARIF 2.1.0 report (one run per analyzer) for code-scanning dashboards and SARIF viewers
+   */
+  async generateSARIFReport(findings, score, ruleEngine) {
+    const outputDir = this.config.getOutputDir();
+    const reportPath = path.join(outputDir, 'code-review-report.sarif');
+    
+    const sarif = this.createSARIFLog(findings, ruleEngine);
+    
+    fs.writeFileSync(reportPath, JSON.stringify(sarif, null, 2));
+    
+    logger.log(`📊 SARIF Report: ${reportPath}`);
+    
+    return {
+      type: 'sarif',
+      path: reportPath,
+      results: sarif.runs.reduce((sum, run) => sum + run.results.length, 0)
+    };
+  }
+
+  /**
+   * Build the SARIF log object
+   */
+  createSARIFLog(findings, ruleEngine) {
+    const issues = flattenFindings(findings);
+    // ESLint reports success: false when it finds errors, so failed analyzers with findings still get a run
+    const analyzers = Object.keys(findings).filter(key => findings[key] &&
+      (findings[key].success !== false || issues.some(issue => issue.analyzer === key)));
+
+    const runs = analyzers.map(analyzer => {
+      const analyzerIssues = issues.filter(issue => issue.analyzer === analyzer);
+      const rules = [];
+      const ruleIndex = new Map();
+
+      const results = analyzerIssues.map(issue => {
+        if (!ruleIndex.has(issue.ruleId)) {
+          ruleIndex.set(issue.ruleId, rules.length);
+          rules.push(this.createSARIFRule(issue, ruleEngine));
+        }
+
+        const result = {
+          ruleId: issue.ruleId,
+          ruleIndex: ruleIndex.get(issue.ruleId),
+          level: this.getSARIFLevel(issue.severity),
+          message: { text: issue.message || issue.ruleId }
+        };
+
+        if (issue.file) {
+          const region = {};
+          if (issue.startLine) {
+            region.startLine = issue.startLine;
+            if (issue.startColumn) region.startColumn = issue.startColumn;
+            if (issue.endLine > issue.startLine) region.endLine = issue.endLine;
+            if (issue.endColumn) region.endColumn = issue.endColumn;
+            if (issue.snippet) region.snippet = { text: issue.snippet };
+          }
+
+          result.locations = [{
+            physicalLocation: {
+              artifactLocation: {
+                uri: this.toArtifactUri(issue.file),
+                uriBaseId: '%SRCROOT%'
+              },
+              ...(Object.keys(region).length > 0 ? { region } : {})
+            }
+          }];
+        }
+
+        return result;
+      });
+
+      return {
+        tool: {
+          driver: {
+            name: `self-serve-review/${analyzer.replace(/[A-Z]/g, char => '-' + char.toLowerCase())}`,
+            informationUri: 'https://github.com/selectamitpatra/code-review-tool',
+            version: toolVersion,
+            rules
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: pathToFileURL(this.config.projectRoot + path.sep).href }
+        },
+        ...(this.runMetadata.qualityGate ? {
+          invocations: [{
+            executionSuccessful: true,
+            exitCode: this.runMetadata.qualityGate.exitCode,
+            properties: { qualityGate: this.runMetadata.qualityGate }
+          }]
+        } : {}),
+        results
+      };
+    });
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs
+    };
+  }
+
+  /**
+   * Build SARIF rule metadata, using the RuleEngine definition for custom rules
+   */
+  createSARIFRule(issue, ruleEngine) {
+    const rule = ruleEngine && ruleEngine.rules
+      ? ruleEngine.rules.find(candidate => candidate.id === issue.ruleId)
+      : null;
+
+    if (!rule) {
+      return {
+        id: issue.ruleId,
+        shortDescription: { text: issue.message ? issue.message.split(':')[0] : issue.ruleId },
+        ...(issue.suggestion ? { help: { text: issue.suggestion } } : {}),
+        defaultConfiguration: { level: this.getSARIFLevel(issue.severity) }
+      };
+    }
+
+    const helpText = [rule.suggestion];
+    const helpMarkdown = [rule.suggestion];
+    if (rule.example && rule.example.bad && rule.example.good) {
+      helpText.push(`Bad: ${rule.example.bad}`, `Good: ${rule.example.good}`);
+      helpMarkdown.push(`**Bad:**\n\n\`\`\`\n${rule.example.bad}\n\`\`\``, `**Good:**\n\n\`\`\`\n${rule.example.good}\n\`\`\``);
+    }
+
+    return {
+      id: rule.id,
+      shortDescription: { text: rule.description },
+      fullDescription: { text: rule.impact || rule.description },
+      help: {
+        text: helpText.join('\n'),
+        markdown: helpMarkdown.join('\n\n')
+      },
+      defaultConfiguration: { level: this.getSARIFLevel(rule.severity) },
+      properties: {
+        category: rule.category,
+        severity: rule.severity,
+        tags: [rule.category].filter(Boolean)
+      }
+    };
+  }
+
+  /**
+   * Map a finding severity to a SARIF level
+   */
+  getSARIFLevel(severity) {
+    return SARIF_LEVELS[normalizeSeverity(severity)];
+  }
+
+  /**
+   * Convert a finding file path to a relative, forward-slash artifact URI
+   */
+  toArtifactUri(file) {
+    const relative = path.isAbsolute(file) && file.startsWith(this.config.projectRoot)
+      ? path.relative(this.config.projectRoot, file)
+      : file;
+    return relative.split(path.sep).join('/').replace(/^\/+/, '');
+  }
+
+  /**
+   * Generate JUnit XML report so CI test dashboards show review findings
+   */
+  async generateJUnitReport(findings, score, ruleEngine) {
+    const outputDir = this.config.getOutputDir();
+    const reportPath = path.join(outputDir, 'code-review-junit.xml');
+    
+    const xmlContent = this.createJUnitContent(findings, ruleEngine);
+    
+    fs.writeFileSync(reportPath, xmlContent);
+    
+    logger.log(`📊 JUnit Report: ${reportPath}`);
+    
+    return {
+      type: 'junit',
+      path: reportPath,
+      size: fs.statSync(reportPath).size
+    };
+  }
+
+  /**
+   * Create JUnit XML content
+   * Each analyzer is a <testsuite>; each rule/file pair with violations is a failing <testcase>.
+   * Custom rules without violations are listed as passing test cases.
+   */
+  createJUnitContent(findings, ruleEngine) {
+    const issues = flattenFindings(findings);
+    const analyzers = Object.keys(findings).filter(key => findings[key] &&
+      (findings[key].success !== false || issues.some(issue => issue.analyzer === key)));
+
+    const suites = analyzers.map(analyzer => {
+      const analyzerIssues = issues.filter(issue => issue.analyzer === analyzer);
+      const groups = new Map();
+
+      analyzerIssues.forEach(issue => {
+        const groupKey = `${issue.ruleId}\u0000${issue.file || ''}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(issue);
+      });
+
+      const testCases = Array.from(groups.values()).map(group => {
+        const first = group[0];
+        const location = first.file || first.package || analyzer;
+        const details = group.map(issue => {
+          const position = [issue.file || issue.package, issue.startLine, issue.startColumn].filter(Boolean).join(':');
+          return [
+            `${position ? position + ' ' : ''}${issue.message}`,
+            issue.suggestion ? `  Suggestion: ${issue.suggestion}` : null
+          ].filter(Boolean).join('\n');
+        }).join('\n');
+
+        return `    <testcase classname="${this.escapeXML(`${analyzer}.${first.ruleId}`)}" name="${this.escapeXML(`${first.ruleId} (${location})`)}" file="${this.escapeXML(first.file || '')}"${first.startLine ? ` line="${first.startLine}"` : ''}>
+      <failure message="${this.escapeXML(`${group.length} violation(s) of ${first.ruleId}: ${first.message}`)}" type="${this.escapeXML(String(first.severity || 'WARNING').toUpperCase())}">${this.escapeXML(details)}</failure>
+    </testcase>`;
+      });
+
+      // Passing test cases: custom rules that were checked without violations, or a single analyzer check
+      if (analyzer === 'customRules' && ruleEngine && ruleEngine.rules) {
+        const violatedRules = new Set(analyzerIssues.map(issue => issue.ruleId));
+        ruleEngine.rules
+          .filter(rule => !violatedRules.has(rule.id))
+          .forEach(rule => testCases.push(`    <testcase classname="${this.escapeXML(`${analyzer}.${rule.id}`)}" name="${this.escapeXML(rule.id)}"/>`));
+      } else if (groups.size === 0) {
+        testCases.push(`    <testcase classname="${this.escapeXML(analyzer)}" name="${this.escapeXML(analyzer)}"/>`);
+      }
+
+      return {
+        tests: testCases.length,
+        failures: groups.size,
+        xml: `  <testsuite name="${this.escapeXML(analyzer)}" tests="${testCases.length}" failures="${groups.size}" errors="0" skipped="0">
+${testCases.join('\n')}
+  </testsuite>`
+      };
+    });
+
+    if (this.runMetadata.qualityGate) {
+      suites.unshift(this.createJUnitQualityGateSuite(this.runMetadata.qualityGate));
+    }
+
+    const totalTests = suites.reduce((sum, suite) => sum + suite.tests, 0);
+    const totalFailures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="self-serve-review" tests="${totalTests}" failures="${totalFailures}" errors="0">
+${suites.map(suite => suite.xml).join('\n')}
+</testsuites>
+`;
+  }
+
+  /**
+   * Create the JUnit suite for the quality gate, one test case per threshold
+   */
+  createJUnitQualityGateSuite(gate) {
+    const testCases = gate.checks.map(check => {
+      const attributes = `classname="qualityGate" name="${this.escapeXML(check.name)}"`;
+      if (check.status === 'failed') {
+        return `    <testcase ${attributes}>
+      <failure message="${this.escapeXML(`${check.name}: expected ${this.getQualityGateExpectation(check)}, got ${check.actual}`)}" type="QUALITY_GATE"/>
+    </testcase>`;
+      }
+      if (check.status === 'skipped') {
+        return `    <testcase ${attributes}>
+      <skipped message="${this.escapeXML(check.reason || 'skipped')}"/>
+    </testcase>`;
+      }
+      return `    <testcase ${attributes}/>`;
+    });
+    const skipped = gate.checks.filter(check => check.status === 'skipped').length;
+
+    return {
+      tests: testCases.length,
+      failures: gate.failed,
+      xml: `  <testsuite name="qualityGate" tests="${testCases.length}" failures="${gate.failed}" errors="0" skipped="${skipped}">
+${testCases.join('\n')}
+  </testsuite>`
+    };
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   */
+  escapeXML(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Generate CodeClimate JSON report (GitLab code quality format)
+   */
+  async generateCodeClimateReport(findings, score, ruleEngine) {
+    const outputDir = this.config.getOutputDir();
+    const reportPath = path.join(outputDir, 'gl-code-quality-report.json');
+    
+    const issues = this.createCodeClimateIssues(findings, ruleEngine);
+    
+    fs.writeFileSync(reportPath, JSON.stringify(issues, null, 2));
+    
+    logger.log(`📊 CodeClimate Report: ${reportPath}`);
+    
+    return {
+      type: 'codeclimate',
+      path: reportPath,
+      issues: issues.length
+    };
+  }
+
+  /**
+   * Convert findings into CodeClimate issues
+   * Dependency findings have no source file and are reported against package.json.
+   */
+  createCodeClimateIssues(findings, ruleEngine) {
+    const rules = ruleEngine && ruleEngine.rules ? ruleEngine.rules : [];
+    const gate = this.runMetadata.qualityGate;
+    // Breached thresholds are reported against the configuration file
+    const gateIssues = gate ? gate.checks.filter(check => check.status === 'failed').map(check => ({
+      type: 'issue',
+      check_name: `quality-gate/${check.name}`,
+      description: `Quality gate threshold ${check.name} breached: expected ${this.getQualityGateExpectation(check)}, got ${check.actual}`,
+      categories: ['Bug Risk'],
+      location: { path: '.self-serve-review.json', lines: { begin: 1 } },
+      severity: 'major',
+      fingerprint: crypto.createHash('md5').update(`quality-gate|${check.name}`).digest('hex')
+    })) : [];
+
+    return gateIssues.concat(flattenFindings(findings).map(issue => {
+      const rule = issue.analyzer === 'customRules'
+        ? rules.find(candidate => candidate.id === issue.ruleId)
+        : null;
+      const suggestion = issue.suggestion || (rule && rule.suggestion);
+
+      return {
+        type: 'issue',
+        check_name: issue.ruleId,
+        description: issue.message || issue.ruleId,
+        ...(suggestion ? { content: { body: suggestion } } : {}),
+        categories: [this.getCodeClimateCategory(issue)],
+        location: {
+          path: issue.file ? this.toArtifactUri(issue.file) : 'package.json',
+          lines: { begin: issue.startLine || 1, end: issue.endLine || issue.startLine || 1 }
+        },
+        severity: CODECLIMATE_SEVERITIES[normalizeSeverity(issue.severity)],
+        fingerprint: issue.fingerprint
+      };
+    }));
+  }
+
+  /**
+   * Map a finding category to a CodeClimate category
+   */
+  getCodeClimateCategory(issue) {
+    return CODECLIMATE_CATEGORIES[issue.category] || 'Bug Risk';
+  }
+
+  /**
+   * Format findings for stdout in one of the CONSOLE_FORMATS
+   */
+  formatFindings(findings, format) {
+    switch (format) {
+      case 'checkstyle':
+        return this.createCheckstyleContent(findings);
+      case 'compact':
+        return this.createCompactContent(findings);
+      default:
+        throw new Error(`Unknown format: ${format} (available: ${CONSOLE_FORMATS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Create checkstyle XML content, one <file> element per file with findings
+   */
+  createCheckstyleContent(findings) {
+    const files = new Map();
+
+    flattenFindings(findings).forEach(issue => {
+      const file = this.getConsolePath(issue);
+      if (!files.has(file)) files.set(file, []);
+      files.get(file).push(`    <error${issue.startLine ? ` line="${issue.startLine}"` : ''}${issue.startColumn ? ` column="${issue.startColumn}"` : ''} severity="${this.getConsoleSeverity(issue.severity)}" message="${this.escapeXML(issue.message || issue.ruleId)}" source="${this.escapeXML(`self-serve-review.${issue.analyzer}.${issue.ruleId}`)}"/>`);
+    });
+
+    const fileElements = Array.from(files.entries()).map(([file, errors]) => `  <file name="${this.escapeXML(file)}">
+${errors.join('\n')}
+  </file>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<checkstyle version="4.3">
+${fileElements.join('\n')}${fileElements.length > 0 ? '\n' : ''}</checkstyle>
+`;
+  }
+
+  /**
+   * Create compact "path:line:col: severity rule message" lines for problem matchers and grep
+   */
+  createCompactContent(findings) {
+    return flattenFindings(findings)
+      .map(issue => `${this.getConsolePath(issue)}:${issue.startLine || 1}:${issue.startColumn || 1}: ${this.getConsoleSeverity(issue.severity)} ${issue.ruleId} ${(issue.message || issue.ruleId).replace(/\s*\n\s*/g, ' ')}\n`)
+      .join('');
+  }
+
+  /**
+   * Relative path a console finding is reported against (dependency findings point at package.json)
+   */
+  getConsolePath(issue) {
+    return issue.file ? this.toArtifactUri(issue.file) : 'package.json';
+  }
+
+  /**
+   * Map a finding severity to a checkstyle severity
+   */
+  getConsoleSeverity(severity) {
+    return CHECKSTYLE_SEVERITIES[normalizeSeverity(severity)];
+  }
+
   /**
    * Generate Markdown report
    */
@@ -72,7 +551,7 @@ class ReportGenerator {
     
     fs.writeFileSync(reportPath, markdownContent);
     
-    console.log(`📊 Markdown Report: ${reportPath}`);
+    logger.log(`📊 Markdown Report: ${reportPath}`);
     
     return {
       type: 'markdown',
@@ -92,7 +571,7 @@ class ReportGenerator {
     
     fs.writeFileSync(promptsPath, promptsContent);
     
-    console.log(`🤖 AI Prompts: ${promptsPath}`);
+    logger.log(`🤖 AI Prompts: ${promptsPath}`);
     
     return {
       type: 'ai-prompts',
@@ -112,7 +591,7 @@ class ReportGenerator {
     
     fs.writeFileSync(summaryPath, summaryContent);
     
-    console.log(`🤖 AI Review Summary: ${summaryPath}`);
+    logger.log(`🤖 AI Review Summary: ${summaryPath}`);
     
     return {
       type: 'ai-summary',
@@ -158,12 +637,18 @@ class ReportGenerator {
         .issue { padding: 10px; border-bottom: 1px solid #eee; }
         .issue:last-child { border-bottom: none; }
         .issue-severity { padding: 2px 8px; border-radius: 4px; font-size: 0.8em; font-weight: bold; }
+        .severity-critical { background: #fce4ec; color: #ad1457; }
         .severity-error { background: #ffebee; color: #c62828; }
         .severity-warning { background: #fff3e0; color: #ef6c00; }
         .severity-info { background: #e3f2fd; color: #1565c0; }
         .footer { text-align: center; padding: 20px; color: #666; border-top: 1px solid #eee; }
         .recommendations { background: #f8f9fa; border-radius: 8px; padding: 20px; }
         .recommendation { margin-bottom: 15px; padding: 15px; background: white; border-radius: 4px; border-left: 4px solid #2196F3; }
+        .data-table { width: 100%; border-collapse: collapse; }
+        .data-table th, .data-table td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; }
+        .gate-passed { color: #2e7d32; }
+        .gate-failed { color: #c62828; }
+        .gate-skipped { color: #757575; }
     </style>
 </head>
 <body>
@@ -188,16 +673,26 @@ class ReportGenerator {
                 </div>
             </div>
             
+            ${this.generateQualityGateSection()}
+            
             ${this.generateIssuesSection(findings)}
             
+            ${this.generateBaselineSection()}
+            
+            ${this.generateSuppressionsSection(findings.suppressions)}
+            
             ${this.generateRecommendationsSection(score)}
             
+            ${this.generateScoringModelSection(score)}
+            
             <div class="section">
                 <h2>⚙️ Configuration</h2>
                 <p><strong>Template:</strong> ${configSummary.template}</p>
                 <p><strong>Analyzers:</strong> ${configSummary.analyzers} enabled</p>
                 <p><strong>Reporters:</strong> ${configSummary.reporters} enabled</p>
                 <p><strong>Rules:</strong> ${configSummary.rules} custom rules</p>
+                ${this.runMetadata.severityFilter ? `<p><strong>Minimum Severity:</strong> ${this.getSeverityFilterText(this.runMetadata.severityFilter)}</p>` : ''}
+                ${this.runMetadata.baseline ? `<p><strong>Baseline:</strong> ${this.runMetadata.baseline.baselined} of ${this.runMetadata.baseline.recorded} recorded findings still present</p>` : ''}
                 <p><strong>AI Integration:</strong> ${configSummary.aiEnabled ? '✅ Enabled' : '❌ Disabled'}</p>
             </div>
         </div>
@@ -225,7 +720,7 @@ class ReportGenerator {
 **Overall Score:** ${score.overall}/100 (${score.grade})
 
 ---
-
+${this.generateMarkdownQualityGate()}
 ## 📋 Analysis Summary
 
 ${Object.entries(findings).map(([analyzer, result]) => {
@@ -246,20 +741,29 @@ ${this.getAnalyzerSummary(analyzer, result)}`;
 ${this.generateMarkdownRecommendations(score)}
 
 ---
-
+${this.generateMarkdownSuppressions(findings.suppressions)}${this.generateMarkdownScoringModel(score)}
 ## ⚙️ Configuration
 
 - **Template:** ${configSummary.template}
 - **Analyzers:** ${configSummary.analyzers} enabled
 - **Reporters:** ${configSummary.reporters} enabled  
 - **Rules:** ${configSummary.rules} custom rules
-- **AI Integration:** ${configSummary.aiEnabled ? '✅ Enabled' : '❌ Disabled'}
+${this.runMetadata.severityFilter ? `- **Minimum Severity:** ${this.getSeverityFilterText(this.runMetadata.severityFilter)}\n` : ''}${this.runMetadata.baseline ? `- **Baseline:** ${this.runMetadata.baseline.baselined} baselined findings not counted (${this.runMetadata.baseline.file})\n` : ''}- **AI Integration:** ${configSummary.aiEnabled ? '✅ Enabled' : '❌ Disabled'}
 
 ---
 
 *Generated by @self-serve/code-review-tool v1.0.0*`;
   }
 
+  /**
+   * Describe the severity filter and how many findings it hid
+   */
+  getSeverityFilterText(severityFilter) {
+    return severityFilter.suppressed > 0
+      ? `${severityFilter.minSeverity} (${severityFilter.suppressed} lower-severity findings hidden)`
+      : severityFilter.minSeverity;
+  }
+
   /**
    * Create AI prompts content
    */
@@ -274,7 +778,7 @@ ${this.generateMarkdownRecommendations(score)}
 **Overall Score:** ${score.overall}/100 (${score.grade})
 
 ---
-
+${this.generateMarkdownQualityGate()}
 ## 📊 Static Analysis Summary
 
 ${Object.entries(findings).map(([analyzer, result]) => {
@@ -441,41 +945,266 @@ After implementing AI suggestions:
    * Generate issues section for HTML
    */
   generateIssuesSection(findings) {
-    const hasIssues = Object.values(findings).some(result => 
-      result && (result.errors > 0 || result.warnings > 0 || result.violations > 0)
-    );
+    const issues = flattenFindings(findings);
     
-    if (!hasIssues) {
+    if (issues.length === 0) {
       return '<div class="section"><h2>🎉 No Issues Found</h2><p>Great job! No significant issues were detected.</p></div>';
     }
     
+    const byAnalyzer = new Map();
+    issues.forEach(issue => {
+      if (!byAnalyzer.has(issue.analyzer)) byAnalyzer.set(issue.analyzer, []);
+      byAnalyzer.get(issue.analyzer).push(issue);
+    });
+    
     return `
       <div class="section">
         <h2>⚠️ Issues Found</h2>
-        ${Object.entries(findings).map(([analyzer, result]) => {
-          if (!result || !result.details || result.details.length === 0) return '';
-          
-          return `
+        ${[...byAnalyzer.entries()].map(([analyzer, analyzerIssues]) => `
             <h3>${analyzer.charAt(0).toUpperCase() + analyzer.slice(1)} Issues</h3>
             <div class="issues-list">
-              ${result.details.slice(0, 10).map(issue => `
+              ${analyzerIssues.slice(0, 10).map(issue => `
                 <div class="issue">
-                  <span class="issue-severity severity-${issue.severity || 'info'}">${issue.severity || 'info'}</span>
-                  <strong>${issue.file || 'Unknown file'}</strong>
-                  ${issue.line ? ` (line ${issue.line})` : ''}
+                  <span class="issue-severity severity-${issue.severity}">${issue.severity}</span>
+                  <strong>${this.escapeXML(issue.file || issue.package || 'Unknown file')}</strong>
+                  ${issue.startLine ? ` (line ${issue.startLine})` : ''}
                   <br>
-                  ${issue.message || issue.description || 'No description'}
-                  ${issue.rule ? `<br><small>Rule: ${issue.rule}</small>` : ''}
+                  ${this.escapeXML(issue.message || 'No description')}
+                  <br><small>Rule: ${this.escapeXML(issue.ruleId)} · ${issue.category}</small>
                 </div>
               `).join('')}
-              ${result.details.length > 10 ? `<div class="issue"><em>... and ${result.details.length - 10} more issues</em></div>` : ''}
+              ${analyzerIssues.length > 10 ? `<div class="issue"><em>... and ${analyzerIssues.length - 10} more issues</em></div>` : ''}
             </div>
-          `;
-        }).filter(Boolean).join('')}
+          `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate baselined findings section for HTML, kept apart from the new issues
+   */
+  generateBaselineSection() {
+    const baseline = this.runMetadata.baseline;
+    if (!baseline || baseline.baselined === 0) return '';
+    
+    return `
+      <div class="section">
+        <h2>📦 Baselined Findings (${baseline.baselined})</h2>
+        <p>Known findings recorded in <code>${baseline.file}</code>. They are not scored or gated; fix them over time and run <code>--update-baseline</code> to shrink the backlog.</p>
+        <details>
+          <summary>Show baselined findings</summary>
+          <div class="issues-list">
+            ${baseline.findings.map(finding => `
+              <div class="issue">
+                <span class="issue-severity severity-${finding.severity}">${finding.severity}</span>
+                <strong>${this.escapeXML(finding.file || finding.package || finding.analyzer)}</strong>
+                ${finding.startLine ? ` (line ${finding.startLine})` : ''}
+                <br>
+                ${this.escapeXML(finding.message)}
+                <br><small>${finding.analyzer} · ${this.escapeXML(finding.ruleId)}</small>
+              </div>
+            `).join('')}
+          </div>
+        </details>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate section listing active inline suppressions and their reasons, for auditing
+   */
+  generateSuppressionsSection(suppressions) {
+    if (!suppressions || suppressions.active.length === 0) return '';
+    
+    return `
+      <div class="section">
+        <h2>🔕 Suppressions (${suppressions.active.length})</h2>
+        <table class="data-table">
+          <tr><th>Location</th><th>Rules</th><th>Findings</th><th>Reason</th></tr>
+          ${suppressions.active.map(entry => `
+            <tr>
+              <td>${this.escapeXML(entry.file)}:${entry.line}${entry.type === 'disable' ? `-${entry.endLine}` : ''}</td>
+              <td>${this.escapeXML(entry.rules.join(', '))}</td>
+              <td>${entry.matches}</td>
+              <td>${this.escapeXML(entry.reason)}</td>
+            </tr>
+          `).join('')}
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate suppressions section for Markdown reports
+   */
+  generateMarkdownSuppressions(suppressions) {
+    if (!suppressions || suppressions.active.length === 0) return '';
+    
+    const rows = suppressions.active.map(entry =>
+      `| ${entry.file}:${entry.line}${entry.type === 'disable' ? `-${entry.endLine}` : ''} | ${entry.rules.join(', ')} | ${entry.matches} | ${entry.reason.replace(/\|/g, '\\|')} |`
+    );
+    
+    return `
+## 🔕 Suppressions
+
+| Location | Rules | Findings | Reason |
+|----------|-------|----------|--------|
+${rows.join('\n')}
+
+---
+`;
+  }
+
+  /**
+   * Generate quality gate section for HTML
+   */
+  generateQualityGateSection() {
+    const gate = this.runMetadata.qualityGate;
+    if (!gate) return '';
+    
+    return `
+      <div class="section">
+        <h2>🚦 Quality Gate: <span class="${gate.passed ? 'gate-passed' : 'gate-failed'}">${gate.passed ? 'PASSED' : 'FAILED'}</span></h2>
+        <p><strong>Exit policy:</strong> ${this.getQualityGatePolicyText(gate)}</p>
+        <table class="data-table">
+          <tr><th>Status</th><th>Threshold</th><th>Expected</th><th>Actual</th></tr>
+          ${gate.checks.map(check => `
+            <tr class="gate-${check.status}">
+              <td>${check.status}</td>
+              <td>${check.name}</td>
+              <td>${this.getQualityGateExpectation(check)}</td>
+              <td>${check.actual !== null ? check.actual : (check.reason || '-')}</td>
+            </tr>
+          `).join('')}
+        </table>
       </div>
     `;
   }
 
+  /**
+   * Generate quality gate section for Markdown reports
+   */
+  generateMarkdownQualityGate() {
+    const gate = this.runMetadata.qualityGate;
+    if (!gate) return '';
+    
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+    const rows = gate.checks.map(check =>
+      `| ${icons[check.status]} | ${check.name} | ${this.getQualityGateExpectation(check)} | ${check.actual !== null ? check.actual : (check.reason || '-')} |`
+    );
+    
+    return `
+## 🚦 Quality Gate: ${gate.passed ? '✅ PASSED' : '❌ FAILED'}
+
+**Exit policy:** ${this.getQualityGatePolicyText(gate)}
+
+| Status | Threshold | Expected | Actual |
+|--------|-----------|----------|--------|
+${rows.join('\n')}
+
+---
+`;
+  }
+
+  /**
+   * Describe a threshold check's expected value, e.g. "≤ 10"
+   */
+  getQualityGateExpectation(check) {
+    if (!check.type) return String(check.threshold);
+    return `${check.type === 'max' ? '≤' : '≥'} ${check.threshold}`;
+  }
+
+  /**
+   * Describe the exit policy
+   */
+  getQualityGatePolicyText(gate) {
+    switch (gate.policy) {
+      case 'score':
+        return `fail when the overall score is below ${gate.minScore}`;
+      case 'warn':
+        return 'warn only';
+      default:
+        return 'fail on any breached threshold';
+    }
+  }
+
+  /**
+   * Generate scoring model section for HTML
+   */
+  generateScoringModelSection(score) {
+    if (!score.model) return '';
+    
+    return `
+      <div class="section">
+        <h2>📐 Scoring Model</h2>
+        <table class="data-table">
+          <tr><th>Analyzer</th><th>Weight</th><th>Score</th><th>Penalties</th></tr>
+          ${this.getScoringModelRows(score).map(row => `
+            <tr>
+              <td>${row.analyzer}</td>
+              <td>${row.weight}</td>
+              <td>${row.score}</td>
+              <td>${row.penalties}</td>
+            </tr>
+          `).join('')}
+        </table>
+        <p><strong>Grades:</strong> ${this.getGradeScaleText(score.model.grades)}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate scoring model section for Markdown reports
+   */
+  generateMarkdownScoringModel(score) {
+    if (!score.model) return '';
+    
+    const rows = this.getScoringModelRows(score)
+      .map(row => `| ${row.analyzer} | ${row.weight} | ${row.score} | ${row.penalties} |`);
+    
+    return `
+## 📐 Scoring Model
+
+| Analyzer | Weight | Score | Penalties |
+|----------|--------|-------|-----------|
+${rows.join('\n')}
+
+**Grades:** ${this.getGradeScaleText(score.model.grades)}
+
+---
+`;
+  }
+
+  /**
+   * One row per weighted analyzer: weight, score this run and penalty factors
+   */
+  getScoringModelRows(score) {
+    return Object.entries(score.model.weights).map(([analyzer, weight]) => {
+      const penalties = Object.entries(score.model.penalties[analyzer] || {})
+        .map(([kind, points]) => `${kind}: -${points}`)
+        .join(', ');
+      const breakdown = score.breakdown && score.breakdown[analyzer];
+      
+      return {
+        analyzer,
+        weight,
+        score: breakdown ? Math.round(breakdown.score) : 'not run',
+        penalties: penalties || '-'
+      };
+    });
+  }
+
+  /**
+   * Describe grade boundaries, e.g. "A ≥ 90, B ≥ 80, otherwise F"
+   */
+  getGradeScaleText(grades) {
+    return Object.entries(grades)
+      .sort(([, a], [, b]) => b - a)
+      .map(([grade, minimum]) => `${grade} ≥ ${minimum}`)
+      .concat('otherwise F')
+      .join(', ');
+  }
+
   /**
    * Generate recommendations section
    */
@@ -513,6 +1242,8 @@ After implementing AI suggestions:
         return result.vulnerabilities > 0 ? 'error' : 'success';
       case 'tests':
         return result.coverage < 70 ? 'warning' : 'success';
+      case 'suppressions':
+        return result.unused.length + result.invalid.length > 0 ? 'warning' : 'success';
       default:
         return 'success';
     }
@@ -545,6 +1276,8 @@ After implementing AI suggestions:
         return `Score: ${result.score || 100}/100`;
       case 'customRules':
         return `${result.violations || 0} rule violations`;
+      case 'suppressions':
+        return `${result.active.length} active, ${result.unused.length} unused, ${result.invalid.length} without justification`;
       default:
         return 'Analysis completed';
     }
@@ -694,7 +1427,7 @@ ${rec.action ? `**Action:** ${rec.action}` : ''}
 **Generated:** ${timestamp}  
 **Overall Score:** ${score.overall}/100 (${score.grade})  
 **Priority Level:** ${aiAnalysis.summary?.priority || 'MEDIUM'}
-
+${this.generateMarkdownQualityGate()}
 ## 📊 Analysis Overview
 
 ### Quality Metrics
@@ -772,4 +1505,6 @@ For a complete analysis with charts and detailed findings, see the HTML report:
   }
 }
 
+ReportGenerator.CONSOLE_FORMATS = CONSOLE_FORMATS;
+
 module.exports = ReportGenerator;
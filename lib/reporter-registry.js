@@ -0,0 +1,70 @@
+const PluginRegistry = require('./plugin-registry');
+
+const BUILT_IN_REPORTERS = [
+  'html',
+  'json',
+  'markdown',
+  'ai-summary',
+  'ai-prompts',
+  'ai-analysis',
+  'sarif',
+  'junit',
+  'codeclimate'
+];
+
+/**
+ * Reporter Registry - keeps track of built-in and plugin reporters
+ *
+ * A reporter is a module exporting:
+ *   name              - unique reporter name used in the `reporters` config list
+ *   key               - property the report is stored under in results.reports (defaults to camelCased name)
+ *   generate(context) - async function writing the report and returning { type, path, ... }
+ *
+ * The context holds the raw per-analyzer `findings`, the normalized `issues` list,
+ * the `score`, the `outputDir`, the `reportGenerator`, `analyzer`, `ruleEngine`,
+ * `config` (ConfigManager), `projectRoot`, the run `options` and the `tool` itself.
+ */
+class ReporterRegistry extends PluginRegistry {
+  constructor() {
+    super('reporter', 'self-serve-review-reporter-');
+  }
+
+  /**
+   * Create a registry with built-in reporters and plugins discovered for a project
+   */
+  static createDefault(configManager) {
+    const registry = new ReporterRegistry();
+    registry.registerBuiltIns();
+
+    if (configManager) {
+      registry.loadPlugins(configManager, 'reporters');
+    }
+
+    return registry;
+  }
+
+  /**
+   * Register all built-in reporters
+   */
+  registerBuiltIns() {
+    BUILT_IN_REPORTERS.forEach(name => {
+      this.register(require(`./reporters/${name}`), { builtIn: true });
+    });
+    return this;
+  }
+
+  /**
+   * Validate the reporter contract
+   */
+  validate(reporter) {
+    const errors = super.validate(reporter);
+    if (reporter && typeof reporter === 'object' && typeof reporter.generate !== 'function') {
+      errors.push("Missing required function 'generate(context)'");
+    }
+    return errors;
+  }
+}
+
+ReporterRegistry.BUILT_IN_REPORTERS = BUILT_IN_REPORTERS;
+
+module.exports = ReporterRegistry;
@@ -0,0 +1,15 @@
+/**
+ * AI analysis reporter - in-memory AI analysis shown in the terminal (no file is written)
+ */
+module.exports = {
+  name: 'ai-analysis',
+  generate: async ({ tool, analyzer, findings, score }) => {
+    const aiAnalysis = await analyzer.performAICodeAnalysis(findings);
+    const aiRecommendations = analyzer.generateAIRecommendations(findings, score);
+    return {
+      analysis: aiAnalysis,
+      recommendations: aiRecommendations,
+      summary: tool.generateAISummary(aiAnalysis, aiRecommendations)
+    };
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * AI prompts reporter - ready-to-paste Cursor AI prompts built from the rules and findings
+ */
+module.exports = {
+  name: 'ai-prompts',
+  generate: async ({ reportGenerator, analyzer, ruleEngine, findings, score }) => {
+    const aiPrompts = await analyzer.generateCursorAIPrompts(findings);
+    return reportGenerator.generateAIPrompts(findings, score, ruleEngine, aiPrompts);
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * AI summary reporter - Markdown summary of the AI code analysis and recommendations
+ */
+module.exports = {
+  name: 'ai-summary',
+  generate: async ({ reportGenerator, analyzer, findings, score }) => {
+    const aiAnalysis = await analyzer.performAICodeAnalysis(findings);
+    const aiRecommendations = analyzer.generateAIRecommendations(findings, score);
+    return reportGenerator.generateAISummaryMD(findings, score, aiAnalysis, aiRecommendations);
+  }
+};
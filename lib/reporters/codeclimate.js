@@ -0,0 +1,7 @@
+/**
+ * CodeClimate reporter - code quality JSON rendered by GitLab merge request widgets
+ */
+module.exports = {
+  name: 'codeclimate',
+  generate: ({ reportGenerator, ruleEngine, findings, score }) => reportGenerator.generateCodeClimateReport(findings, score, ruleEngine)
+};
@@ -0,0 +1,7 @@
+/**
+ * HTML reporter - the main human-readable report (code-review-report.html)
+ */
+module.exports = {
+  name: 'html',
+  generate: ({ reportGenerator, findings, score }) => reportGenerator.generateHTMLReport(findings, score)
+};
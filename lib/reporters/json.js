@@ -0,0 +1,7 @@
+/**
+ * JSON reporter - full machine-readable results
+ */
+module.exports = {
+  name: 'json',
+  generate: ({ reportGenerator, findings, score }) => reportGenerator.generateJSONReport(findings, score)
+};
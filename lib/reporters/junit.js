@@ -0,0 +1,7 @@
+/**
+ * JUnit reporter - JUnit XML so CI test dashboards show review findings as failed test cases
+ */
+module.exports = {
+  name: 'junit',
+  generate: ({ reportGenerator, ruleEngine, findings, score }) => reportGenerator.generateJUnitReport(findings, score, ruleEngine)
+};
@@ -0,0 +1,7 @@
+/**
+ * Markdown reporter - summary suitable for pull request comments
+ */
+module.exports = {
+  name: 'markdown',
+  generate: ({ reportGenerator, findings, score }) => reportGenerator.generateMarkdownReport(findings, score)
+};
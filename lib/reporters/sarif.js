@@ -0,0 +1,7 @@
+/**
+ * SARIF reporter - SARIF 2.1.0 log for code-scanning dashboards and SARIF viewers
+ */
+module.exports = {
+  name: 'sarif',
+  generate: ({ reportGenerator, ruleEngine, findings, score }) => reportGenerator.generateSARIFReport(findings, score, ruleEngine)
+};
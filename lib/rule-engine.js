@@ -1,5 +1,37 @@
 const fs = require('fs');
 const path = require('path');
+const FileWalker = require('./file-walker');
+const RuleResolver = require('./rule-resolver');
+const ConfigOverrides = require('./config-overrides');
+
+// The parsers behind AST rules and `matchIn` are loaded on first use, so projects with only plain regex rules
+// do not need them (typescript-estree requires Node.js >= 18.18)
+let AstMatcher = null;
+let SourceMask = null;
+
+/**
+ * The AST matcher module; throws with the Node.js requirement when the parser cannot be loaded
+ */
+function loadAstMatcher() {
+  if (!AstMatcher) {
+    try {
+      AstMatcher = require('./ast-matcher');
+    } catch (error) {
+      throw new Error(`AST rules need Node.js >= 18.18 (running ${process.version}): ${error.message}`);
+    }
+  }
+  return AstMatcher;
+}
+
+/**
+ * The source mask module used by `matchIn`
+ */
+function loadSourceMask() {
+  if (!SourceMask) {
+    SourceMask = require('./source-mask');
+  }
+  return SourceMask;
+}
 
 /**
  * Rule Engine - manages and validates custom rules
@@ -10,6 +42,12 @@ class RuleEngine {
     this.categories = rulesConfig.categories || {};
     this.metadata = rulesConfig.metadata || {};
     this.customPrompts = rulesConfig.customPrompts || {};
+    // Where each rule was defined, by ID (see RuleResolver)
+    this.origins = rulesConfig.origins || {};
+    // Per-path rule settings from the configuration's `overrides` blocks
+    this.overrides = new ConfigOverrides(rulesConfig.overrides || []);
+    // Created on the first AST rule match
+    this.astMatcher = null;
   }
 
   /**
@@ -64,7 +102,13 @@ class RuleEngine {
   validateRule(rule, index) {
     const errors = [];
     const warnings = [];
-    const requiredFields = ['id', 'category', 'severity', 'description', 'pattern', 'suggestion'];
+    const type = rule.type || 'regex';
+    // AST rules match a `selector` instead of a regex `pattern`
+    const requiredFields = ['id', 'category', 'severity', 'description', type === 'ast' ? 'selector' : 'pattern', 'suggestion'];
+
+    if (!RuleEngine.RULE_TYPES.includes(type)) {
+      errors.push(`Rule ${rule.id}: Invalid type '${rule.type}'. Must be one of: ${RuleEngine.RULE_TYPES.join(', ')}`);
+    }
 
     // Check required fields
     for (const field of requiredFields) {
@@ -79,8 +123,17 @@ class RuleEngine {
       errors.push(`Rule ${rule.id}: Invalid severity '${rule.severity}'. Must be one of: ${validSeverities.join(', ')}`);
     }
 
+    // Validate AST selector
+    if (type === 'ast' && rule.selector) {
+      try {
+        loadAstMatcher().parseSelector(rule.selector);
+      } catch (error) {
+        errors.push(`Rule ${rule.id}: ${error.message}`);
+      }
+    }
+
     // Validate regex pattern
-    if (rule.pattern) {
+    if (type === 'regex' && rule.pattern) {
       try {
         new RegExp(rule.pattern);
       } catch (error) {
@@ -88,11 +141,47 @@ class RuleEngine {
       }
     }
 
-    // Validate files array
-    if (rule.files && !Array.isArray(rule.files)) {
-      errors.push(`Rule ${rule.id}: 'files' must be an array`);
+    // Validate where regex patterns match
+    if (rule.matchIn !== undefined) {
+      const { MATCH_IN } = loadSourceMask();
+      if (!MATCH_IN.includes(rule.matchIn)) {
+        errors.push(`Rule ${rule.id}: Invalid matchIn '${rule.matchIn}'. Must be one of: ${MATCH_IN.join(', ')}`);
+      } else if (type === 'ast') {
+        warnings.push(`Rule ${rule.id}: 'matchIn' only applies to regex rules and is ignored`);
+      }
     }
 
+    // Validate enabled flag
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push(`Rule ${rule.id}: 'enabled' must be true or false`);
+    }
+
+    // Validate fix block
+    if (rule.fix !== undefined && (typeof rule.fix !== 'object' || rule.fix === null || typeof rule.fix.replace !== 'string')) {
+      errors.push(`Rule ${rule.id}: 'fix' must be an object with a 'replace' string`);
+    }
+
+    // Validate test fixtures
+    if (rule.tests !== undefined) {
+      if (!Array.isArray(rule.tests)) {
+        errors.push(`Rule ${rule.id}: 'tests' must be an array`);
+      } else {
+        rule.tests.forEach((test, testIndex) => {
+          if (!test || typeof test.code !== 'string' ||
+            !(typeof test.expect === 'boolean' || (Number.isInteger(test.expect) && test.expect >= 0))) {
+            errors.push(`Rule ${rule.id}: tests[${testIndex}] must have a 'code' string and an 'expect' boolean or violation count`);
+          }
+        });
+      }
+    }
+
+    // Validate files and excludeFiles arrays
+    ['files', 'excludeFiles'].forEach(field => {
+      if (rule[field] && !Array.isArray(rule[field])) {
+        errors.push(`Rule ${rule.id}: '${field}' must be an array`);
+      }
+    });
+
     // Check for example structure
     if (rule.example) {
       if (!rule.example.bad || !rule.example.good) {
@@ -139,6 +228,13 @@ class RuleEngine {
     return breakdown;
   }
 
+  /**
+   * Get the origin of a rule (`{ type, name, fields, overrides }`), or null for rules not loaded from the configuration
+   */
+  getRuleOrigin(ruleId) {
+    return this.origins[ruleId] || null;
+  }
+
   /**
    * Get rules by category
    */
@@ -163,25 +259,185 @@ class RuleEngine {
   }
 
   /**
-   * Get rules that match specific file patterns
+   * Get rules that apply to a file (path relative to the project root);
+   * rules whose severity an override changes for the file are returned as copies with that severity
    */
   getRulesForFile(filePath) {
-    return this.rules.filter(rule => {
-      if (!rule.files || rule.files.length === 0) {
-        return true; // Rule applies to all files if no files specified
+    return this.rules
+      .map(rule => ({ rule, explanation: this.explainRuleForFile(rule, filePath) }))
+      .filter(({ explanation }) => explanation.applies)
+      .map(({ rule, explanation }) => (explanation.severity === rule.severity ? rule : { ...rule, severity: explanation.severity }));
+  }
+
+  /**
+   * Matches of the rules that apply to a file (path relative to the project root), in rule order:
+   * `{ rule, start, end, text }` with source offsets, plus the `node` for AST rules and the regex `match` for regex rules
+   */
+  matchFile(filePath, content, rules = this.getRulesForFile(filePath)) {
+    const matches = [];
+    // Parsed on the first AST rule; null when the file does not parse
+    let ast;
+    // Tokenized on the first regex rule with `matchIn`
+    let sourceMask;
+
+    rules.forEach(rule => {
+      if (rule.type === 'ast') {
+        if (ast === undefined) {
+          try {
+            ast = loadAstMatcher().parse(content, filePath);
+          } catch (parseError) {
+            ast = null;
+            console.warn(`⚠️  Could not parse ${filePath} for AST rules: ${parseError.message}`);
+          }
+        }
+        if (!ast) return;
+
+        try {
+          this.astMatcher = this.astMatcher || new (loadAstMatcher())();
+          this.astMatcher.match(ast, rule.selector).forEach(node => {
+            matches.push({ rule, start: node.range[0], end: node.range[1], text: content.slice(node.range[0], node.range[1]), node });
+          });
+        } catch (selectorError) {
+          console.warn(`⚠️  Invalid selector in rule ${rule.id}: ${selectorError.message}`);
+        }
+        return;
+      }
+
+      try {
+        const regex = new RegExp(rule.pattern, 'gm');
+        let text = content;
+        let match;
+
+        // Excluded regions are blanked out in place, so match offsets are offsets into the source
+        if (rule.matchIn && rule.matchIn !== 'all') {
+          sourceMask = sourceMask || new (loadSourceMask())(content, filePath);
+          text = sourceMask.getText(rule.matchIn);
+        }
+
+        while ((match = regex.exec(text)) !== null) {
+          const end = match.index + match[0].length;
+          matches.push({ rule, start: match.index, end, text: content.slice(match.index, end), match });
+          // Step over empty matches, which would otherwise be found again at the same index
+          if (end === match.index) regex.lastIndex++;
+        }
+      } catch (regexError) {
+        console.warn(`⚠️  Invalid regex in rule ${rule.id}: ${regexError.message}`);
       }
+    });
+
+    return matches;
+  }
 
-      return rule.files.some(pattern => {
-        // Convert glob pattern to regex
-        const regex = new RegExp(
-          pattern
-            .replace(/\*\*/g, '.*')
-            .replace(/\*/g, '[^/]*')
-            .replace(/\?/g, '.')
-        );
-        return regex.test(filePath);
+  /**
+   * Run every rule against its `example.bad` (must match), `example.good` (must not match) and
+   * `tests` fixtures (`{ code, expect }`, where `expect` is true/false or the exact number of violations)
+   */
+  testRules() {
+    const results = this.rules.map(rule => {
+      const cases = [];
+      if (rule.example && typeof rule.example.bad === 'string') {
+        cases.push({ source: 'example.bad', code: rule.example.bad, expect: true });
+      }
+      if (rule.example && typeof rule.example.good === 'string') {
+        cases.push({ source: 'example.good', code: rule.example.good, expect: false });
+      }
+      (Array.isArray(rule.tests) ? rule.tests : []).forEach((test, index) => {
+        cases.push({ source: `tests[${index}]`, code: test.code, expect: test.expect });
       });
+
+      const checked = cases.map(testCase => {
+        const violations = this.matchFile(RuleEngine.TEST_FILE, testCase.code, [rule]).length;
+        const expected = testCase.expect === true ? null : Number(testCase.expect);
+        let failure = null;
+
+        if (expected === null ? violations === 0 : violations < expected) {
+          failure = 'false-negative';
+        } else if (expected !== null && violations > expected) {
+          failure = 'false-positive';
+        }
+
+        return { ...testCase, violations, passed: failure === null, failure };
+      });
+
+      return {
+        id: rule.id,
+        passed: checked.every(testCase => testCase.passed),
+        tested: checked.length > 0,
+        cases: checked
+      };
     });
+
+    const failedCases = results.flatMap(result => result.cases.filter(testCase => !testCase.passed));
+
+    return {
+      passed: failedCases.length === 0,
+      rules: results,
+      stats: {
+        totalRules: results.length,
+        testedRules: results.filter(result => result.tested).length,
+        failedRules: results.filter(result => !result.passed).length,
+        totalCases: results.reduce((sum, result) => sum + result.cases.length, 0),
+        falsePositives: failedCases.filter(testCase => testCase.failure === 'false-positive').length,
+        falseNegatives: failedCases.filter(testCase => testCase.failure === 'false-negative').length
+      }
+    };
+  }
+
+  /**
+   * Decide whether a rule applies to a file, why, and with which severity
+   * The rule's own patterns decide first, then the last `overrides` block setting the rule for the file
+   * can turn it off or change its severity
+   */
+  explainRuleForFile(rule, filePath) {
+    const file = RuleEngine.normalizePath(filePath);
+    const explanation = { ...RuleEngine.explainFilePatterns(rule, file), severity: rule.severity };
+    const setting = explanation.applies ? this.overrides.getRuleSetting(rule.id, file) : null;
+    if (!setting) return explanation;
+
+    const source = ConfigOverrides.describe(setting.override);
+    if (setting.value === 'off') {
+      return { ...explanation, applies: false, reason: `${explanation.reason}, turned off by ${source}` };
+    }
+    return { ...explanation, severity: setting.value, reason: `${explanation.reason}, ${setting.value} by ${source}` };
+  }
+
+  /**
+   * Decide whether a rule's own patterns match a file (normalized, relative to the project root)
+   * `files` globs are anchored to the project root ("!" patterns exclude), `excludeFiles` globs always exclude
+   */
+  static explainFilePatterns(rule, file) {
+    const files = rule.files || [];
+    const include = files.filter(pattern => !pattern.startsWith('!'));
+    const exclude = files.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1))
+      .concat(rule.excludeFiles || []);
+
+    const excludedBy = exclude.find(pattern => RuleEngine.matchGlob(file, pattern));
+    if (excludedBy) {
+      return { applies: false, reason: `excluded by "${excludedBy}"`, pattern: excludedBy };
+    }
+
+    if (include.length === 0) {
+      return { applies: true, reason: files.length === 0 ? 'no files patterns (applies to all files)' : 'not excluded', pattern: null };
+    }
+
+    const matchedBy = include.find(pattern => RuleEngine.matchGlob(file, pattern));
+    return matchedBy
+      ? { applies: true, reason: `matches "${matchedBy}"`, pattern: matchedBy }
+      : { applies: false, reason: `matches none of ${include.map(pattern => `"${pattern}"`).join(', ')}`, pattern: null };
+  }
+
+  /**
+   * Match a project-relative path against a glob (see FileWalker.matchGlob)
+   */
+  static matchGlob(filePath, pattern) {
+    return FileWalker.matchGlob(filePath, pattern);
+  }
+
+  /**
+   * Forward slashes, no leading "./" or "/"
+   */
+  static normalizePath(filePath) {
+    return FileWalker.normalizePath(filePath);
   }
 
   /**
@@ -277,10 +533,14 @@ Focus on finding violations of these specific ${categoryName} rules and provide
   getSummary() {
     const severityBreakdown = this.getSeverityBreakdown();
     const categoryBreakdown = {};
+    const originBreakdown = {};
     
     this.rules.forEach(rule => {
       const category = rule.category || 'uncategorized';
       categoryBreakdown[category] = (categoryBreakdown[category] || 0) + 1;
+
+      const source = RuleResolver.formatSource(this.getRuleOrigin(rule.id));
+      originBreakdown[source] = (originBreakdown[source] || 0) + 1;
     });
 
     return {
@@ -288,6 +548,7 @@ Focus on finding violations of these specific ${categoryName} rules and provide
       categories: Object.keys(this.categories).length,
       severityBreakdown,
       categoryBreakdown,
+      originBreakdown,
       highPriorityRules: this.getHighPriorityRules().length
     };
   }
@@ -346,4 +607,8 @@ Focus on finding violations of these specific ${categoryName} rules and provide
   }
 }
 
+RuleEngine.RULE_TYPES = ['regex', 'ast'];
+// Examples and test fixtures are parsed as TSX, so they can use TypeScript and JSX
+RuleEngine.TEST_FILE = 'example.tsx';
+
 module.exports = RuleEngine;
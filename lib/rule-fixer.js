@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lines of unchanged context around each diff hunk
+const DIFF_CONTEXT = 3;
+
+/**
+ * Rule Fixer - applies the `fix` blocks of custom rules to source files
+ * Regex rules replace the match (`$1`, `$<name>` and `$&` refer to the match), AST rules replace the matched
+ * node, with `{{path}}` inserting the source of a property of the node (e.g. `{{callee.property}}`)
+ */
+class RuleFixer {
+  constructor(projectRoot, ruleEngine, options = {}) {
+    this.projectRoot = projectRoot;
+    this.ruleEngine = ruleEngine;
+    this.dryRun = Boolean(options.dryRun);
+    this.rules = ruleEngine.rules.filter(rule => rule.fix && (!options.rules || options.rules.includes(rule.id)));
+  }
+
+  /**
+   * Fix the given files (absolute paths); returns the results of files with fixable violations
+   */
+  fixFiles(files) {
+    return files
+      .map(file => this.fixFile(file))
+      .filter(result => result && (result.applied.length > 0 || result.skipped.length > 0));
+  }
+
+  /**
+   * Fix one file: apply non-overlapping edits, write the file unless this is a dry run,
+   * then re-run the fixed rules on the output to count violations that remain
+   */
+  fixFile(file) {
+    const relativePath = path.relative(this.projectRoot, file).split(path.sep).join('/');
+    // Matched by ID: overrides hand out copies of rules with the severity of the file's path
+    const rules = this.ruleEngine.getRulesForFile(relativePath).filter(rule => this.rules.some(fixable => fixable.id === rule.id));
+    if (rules.length === 0) return null;
+
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      console.warn(`⚠️  Could not read ${relativePath}: ${error.message}`);
+      return null;
+    }
+
+    const edits = [];
+    this.ruleEngine.matchFile(relativePath, content, rules).forEach(match => {
+      try {
+        const edit = RuleFixer.createEdit(match, content);
+        if (edit) edits.push(edit);
+      } catch (error) {
+        console.warn(`⚠️  Could not fix ${match.rule.id} in ${relativePath}: ${error.message}`);
+      }
+    });
+
+    const { output, applied, skipped } = RuleFixer.applyEdits(content, edits);
+    if (applied.length > 0 && !this.dryRun) {
+      fs.writeFileSync(file, output);
+    }
+
+    const fixedRules = rules.filter(rule => applied.some(edit => edit.rule === rule));
+    const remaining = fixedRules.length > 0 ? this.ruleEngine.matchFile(relativePath, output, fixedRules) : [];
+
+    return {
+      file: relativePath,
+      applied,
+      skipped,
+      remaining: remaining.map(match => ({ rule: match.rule, start: match.start, end: match.end })),
+      diff: applied.length > 0 ? RuleFixer.createDiff(relativePath, content, applied) : ''
+    };
+  }
+
+  /**
+   * The edit (`{ rule, start, end, text }`) fixing one match, or null when the fix changes nothing
+   */
+  static createEdit(match, content) {
+    const { rule, start, end } = match;
+    let text;
+
+    if (rule.type === 'ast') {
+      text = rule.fix.replace.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, property) => {
+        const value = property.split('.').reduce((node, key) => (node == null ? undefined : node[key]), match.node);
+        if (value === undefined || value === null) {
+          throw new Error(`${placeholder} is not set on the matched ${match.node.type}`);
+        }
+        const values = Array.isArray(value) ? value : [value];
+        return values.map(item => (item && item.range ? content.slice(item.range[0], item.range[1]) : String(item))).join(', ');
+      });
+    } else {
+      // Blanked-out comments or strings would end up in the replacement
+      if (match.match.input.slice(start, end) !== match.text) {
+        throw new Error('the match includes text excluded by matchIn');
+      }
+      // A sticky copy of the rule's regex replaces just this match, with the same captures, lookarounds and anchors
+      const regex = new RegExp(rule.pattern, 'my');
+      regex.lastIndex = start;
+      const replaced = match.match.input.replace(regex, rule.fix.replace);
+      text = replaced.slice(start, replaced.length - (match.match.input.length - end));
+    }
+
+    return text === match.text ? null : { rule, start, end, text };
+  }
+
+  /**
+   * Apply edits in source order; an edit overlapping an earlier one is skipped (a later `fix` run can apply it)
+   */
+  static applyEdits(content, edits) {
+    const applied = [];
+    const skipped = [];
+    let lastEnd = -1;
+
+    [...edits].sort((a, b) => a.start - b.start || a.end - b.end).forEach(edit => {
+      // Two insertions at the same offset overlap as well
+      if (edit.start < lastEnd || (edit.start === lastEnd && edit.start === edit.end)) {
+        skipped.push(edit);
+        return;
+      }
+      applied.push(edit);
+      lastEnd = edit.end;
+    });
+
+    let output = content;
+    for (let i = applied.length - 1; i >= 0; i--) {
+      output = output.slice(0, applied[i].start) + applied[i].text + output.slice(applied[i].end);
+    }
+
+    return { output, applied, skipped };
+  }
+
+  /**
+   * Unified diff of applied edits (sorted, non-overlapping), with hunks built around the edited lines
+   */
+  static createDiff(file, content, edits) {
+    // A final line break ends the last line rather than starting an empty one
+    const body = content.endsWith('\n') ? content.slice(0, -1) : content;
+    const lines = body.split('\n');
+    const lineStarts = [0];
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineOf = offset => {
+      let line = 0;
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+      return line;
+    };
+
+    // Edits on shared lines form one changed block; blocks whose context touches form one hunk
+    const hunks = [];
+    edits.forEach(edit => {
+      const first = lineOf(edit.start);
+      const last = lineOf(Math.max(edit.start, edit.end - 1));
+      const hunk = hunks[hunks.length - 1];
+      const block = hunk && hunk.blocks[hunk.blocks.length - 1];
+
+      if (block && first <= block.last) {
+        block.last = Math.max(block.last, last);
+        block.edits.push(edit);
+      } else if (block && first - block.last <= DIFF_CONTEXT * 2 + 1) {
+        hunk.blocks.push({ first, last, edits: [edit] });
+      } else {
+        hunks.push({ blocks: [{ first, last, edits: [edit] }] });
+      }
+    });
+
+    const output = [`--- a/${file}`, `+++ b/${file}`];
+    let lineDelta = 0;
+
+    hunks.forEach(({ blocks }) => {
+      const first = Math.max(0, blocks[0].first - DIFF_CONTEXT);
+      const last = Math.min(lines.length - 1, blocks[blocks.length - 1].last + DIFF_CONTEXT);
+      const hunkLines = [];
+      let line = first;
+      let added = 0;
+      let removed = 0;
+
+      blocks.forEach(block => {
+        for (; line < block.first; line++) hunkLines.push(` ${lines[line]}`);
+
+        const blockStart = lineStarts[block.first];
+        const blockEnd = block.last + 1 < lineStarts.length ? lineStarts[block.last + 1] - 1 : body.length;
+        let text = content.slice(blockStart, blockEnd);
+        for (let i = block.edits.length - 1; i >= 0; i--) {
+          const edit = block.edits[i];
+          text = text.slice(0, edit.start - blockStart) + edit.text + text.slice(edit.end - blockStart);
+        }
+
+        for (; line <= block.last; line++, removed++) hunkLines.push(`-${lines[line]}`);
+        text.split('\n').forEach(newLine => {
+          hunkLines.push(`+${newLine}`);
+          added++;
+        });
+      });
+      for (; line <= last; line++) hunkLines.push(` ${lines[line]}`);
+
+      const context = last - first + 1 - removed;
+      output.push(`@@ -${first + 1},${context + removed} +${first + 1 + lineDelta},${context + added} @@`, ...hunkLines);
+      lineDelta += added - removed;
+    });
+
+    return output.join('\n') + '\n';
+  }
+}
+
+module.exports = RuleFixer;
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Rule Resolver - merges the rule sources of a project into the one rule set every command uses
+ * Sources, from least to most specific: the `extends` template, `.self-serve-review/rules.json`,
+ * `code-review-rules.json`, the files listed in `ruleFiles` and inline `rules` in the configuration.
+ * Rules are merged by ID: a later source's fields override the inherited rule's, and `enabled: false` removes it.
+ */
+class RuleResolver {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.sources = [];
+  }
+
+  /**
+   * Add a source: `origin` is `{ type, name }` (type "template", "rules-file" or "config"),
+   * `rulesConfig` has `rules` (a list, or an object keyed by rule ID) and optionally `categories` and `customPrompts`
+   */
+  addSource(origin, rulesConfig = {}) {
+    this.sources.push({
+      origin,
+      rules: RuleResolver.normalizeRules(rulesConfig.rules),
+      categories: rulesConfig.categories || {},
+      customPrompts: rulesConfig.customPrompts || {}
+    });
+    return this;
+  }
+
+  /**
+   * Add a rules file (path relative to the project root); missing optional files are skipped
+   */
+  addRulesFile(file, { optional = false } = {}) {
+    const fullPath = path.resolve(this.projectRoot, file);
+    const name = path.relative(this.projectRoot, fullPath).split(path.sep).join('/');
+
+    if (!fs.existsSync(fullPath)) {
+      if (!optional) console.warn(`⚠️  Rules file not found: ${name}`);
+      return this;
+    }
+
+    try {
+      return this.addSource({ type: 'rules-file', name }, JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+    } catch (error) {
+      console.warn(`⚠️  Could not parse rules file ${name}: ${error.message}`);
+      return this;
+    }
+  }
+
+  /**
+   * The enabled rules, merged categories and custom prompts, plus the origin of every rule by ID:
+   * `{ type, name, fields, overrides, enabled }`, where `fields` maps each field to the source that set it
+   * and `overrides` lists the later sources that changed the rule
+   */
+  resolve() {
+    const entries = this.mergeSources();
+    const origins = {};
+
+    entries.forEach(entry => {
+      if (entry.rule.id && !origins[entry.rule.id]) {
+        origins[entry.rule.id] = { ...entry.origin, enabled: entry.rule.enabled !== false };
+      }
+    });
+
+    return {
+      rules: entries.filter(entry => entry.rule.enabled !== false).map(entry => entry.rule),
+      categories: Object.assign({}, ...this.sources.map(source => source.categories)),
+      customPrompts: Object.assign({}, ...this.sources.map(source => source.customPrompts)),
+      origins
+    };
+  }
+
+  /**
+   * Merge the sources' rules by ID into `{ rule, origin }` entries, disabled rules included
+   */
+  mergeSources() {
+    const entries = [];
+    const entriesById = new Map();
+
+    this.sources.forEach(source => {
+      const seen = new Set();
+
+      source.rules.forEach(rule => {
+        const id = rule && rule.id;
+        const fields = Object.keys(rule || {}).filter(field => field !== 'id');
+        // Duplicates within one source are kept, so validation reports them
+        const inherited = id && !seen.has(id) ? entriesById.get(id) : null;
+        if (id) seen.add(id);
+
+        if (inherited) {
+          inherited.rule = { ...inherited.rule, ...rule };
+          fields.forEach(field => { inherited.origin.fields[field] = source.origin; });
+          inherited.origin.overrides.push({ ...source.origin, fields });
+          return;
+        }
+
+        const entry = {
+          rule: { ...rule },
+          origin: { ...source.origin, fields: Object.fromEntries(fields.map(field => [field, source.origin])), overrides: [] }
+        };
+        entries.push(entry);
+        if (id && !entriesById.has(id)) entriesById.set(id, entry);
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Project-relative files the rules were read from
+   */
+  getFiles() {
+    return this.sources.filter(source => source.origin.type === 'rules-file').map(source => source.origin.name);
+  }
+
+  /**
+   * Merge two rule lists by ID, e.g. for configuration updates
+   */
+  static mergeRules(baseRules, overrideRules) {
+    return new RuleResolver(null)
+      .addSource({ type: 'config', name: 'base' }, { rules: baseRules })
+      .addSource({ type: 'config', name: 'override' }, { rules: overrideRules })
+      .mergeSources()
+      .map(entry => entry.rule);
+  }
+
+  /**
+   * Rules as a list; `{ "rule-id": { ... } }` objects are accepted for overrides
+   */
+  static normalizeRules(rules) {
+    if (Array.isArray(rules)) return rules;
+    if (rules && typeof rules === 'object') {
+      return Object.entries(rules).map(([id, rule]) => ({ ...rule, id }));
+    }
+    return [];
+  }
+
+  /**
+   * Human-readable source ("template api-gateway", ".self-serve-review/rules.json")
+   */
+  static formatSource(origin) {
+    if (!origin) return 'unknown';
+    return origin.type === 'template' ? `template ${origin.name}` : origin.name;
+  }
+
+  /**
+   * Human-readable origin including overrides ("template api-gateway, overridden by .self-serve-review.json (severity)")
+   */
+  static formatOrigin(origin) {
+    const overrides = (origin && origin.overrides) || [];
+    if (overrides.length === 0) return RuleResolver.formatSource(origin);
+
+    return `${RuleResolver.formatSource(origin)}, overridden by ` +
+      overrides.map(override => `${RuleResolver.formatSource(override)} (${override.fields.join(', ') || 'no fields'})`).join('; ');
+  }
+}
+
+RuleResolver.RULES_FILE = '.self-serve-review/rules.json';
+// Read by earlier versions of the `rules` command
+RuleResolver.LEGACY_RULES_FILE = 'code-review-rules.json';
+
+module.exports = RuleResolver;
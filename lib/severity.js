@@ -0,0 +1,94 @@
+/**
+ * Severity model - maps every analyzer's severities onto one info < warning < error < critical scale
+ */
+
+// Ordered from least to most severe; these are also the valid `severity` config values
+const SEVERITY_LEVELS = ['info', 'warning', 'error', 'critical'];
+
+// Severity names used by ESLint, rules, npm audit and the built-in analyzers
+const SEVERITY_ALIASES = {
+  info: 'info',
+  note: 'info',
+  low: 'info',
+  warning: 'warning',
+  warn: 'warning',
+  moderate: 'warning',
+  medium: 'warning',
+  error: 'error',
+  high: 'error',
+  critical: 'critical'
+};
+
+// ESLint numeric severities (1 = warn, 2 = error)
+const NUMERIC_SEVERITIES = ['info', 'warning', 'error'];
+
+// Severity of findings whose analyzer does not set one (every TypeScript diagnostic is a compile error)
+const DEFAULT_SEVERITIES = {
+  typescript: 'error'
+};
+
+/**
+ * Normalize any known severity name or ESLint number to a SEVERITY_LEVELS value
+ */
+function normalizeSeverity(severity, fallback = 'warning') {
+  if (typeof severity === 'number') {
+    return NUMERIC_SEVERITIES[severity] || fallback;
+  }
+
+  return SEVERITY_ALIASES[String(severity || '').toLowerCase()] || fallback;
+}
+
+/**
+ * Severity of a single analyzer finding on the shared scale
+ */
+function getFindingSeverity(analyzer, item) {
+  return normalizeSeverity(item.severity, DEFAULT_SEVERITIES[analyzer] || 'warning');
+}
+
+/**
+ * Position of a severity on the scale (0 = info)
+ */
+function severityRank(severity) {
+  return SEVERITY_LEVELS.indexOf(normalizeSeverity(severity));
+}
+
+/**
+ * Check whether a severity is at or above the minimum
+ */
+function meetsSeverity(severity, minimum) {
+  return severityRank(severity) >= severityRank(minimum);
+}
+
+/**
+ * Parse a --fail-on value: a minimum severity for every analyzer ("critical") and/or minimums for single
+ * analyzers by registry name ("critical,bug-detection:error"); throws on unknown severities
+ */
+function parseFailOn(value) {
+  const failOn = { severity: null, analyzers: {} };
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.lastIndexOf(':');
+    const analyzer = separator === -1 ? null : entry.slice(0, separator).trim();
+    const severity = entry.slice(separator + 1).trim().toLowerCase();
+
+    if (!SEVERITY_LEVELS.includes(severity) || analyzer === '') {
+      throw new Error(`Invalid --fail-on severity: ${entry}. Use one of: ${SEVERITY_LEVELS.join(', ')}, optionally as <analyzer>:<severity>`);
+    }
+    if (analyzer) {
+      failOn.analyzers[analyzer] = severity;
+    } else {
+      failOn.severity = severity;
+    }
+  });
+
+  return failOn;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  normalizeSeverity,
+  getFindingSeverity,
+  severityRank,
+  meetsSeverity,
+  parseFailOn
+};
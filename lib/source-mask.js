@@ -0,0 +1,219 @@
+const path = require('path');
+const ts = require('typescript');
+
+// Tokens after which a "/" is division rather than the start of a regex literal,
+// and a "<" is a comparison or type argument rather than the start of a JSX element
+const DIVISION_PRECEDERS = new Set([
+  ts.SyntaxKind.Identifier,
+  ts.SyntaxKind.PrivateIdentifier,
+  ts.SyntaxKind.NumericLiteral,
+  ts.SyntaxKind.BigIntLiteral,
+  ts.SyntaxKind.StringLiteral,
+  ts.SyntaxKind.RegularExpressionLiteral,
+  ts.SyntaxKind.NoSubstitutionTemplateLiteral,
+  ts.SyntaxKind.TemplateTail,
+  ts.SyntaxKind.CloseParenToken,
+  ts.SyntaxKind.CloseBracketToken,
+  ts.SyntaxKind.CloseBraceToken,
+  ts.SyntaxKind.PlusPlusToken,
+  ts.SyntaxKind.MinusMinusToken,
+  ts.SyntaxKind.ThisKeyword,
+  ts.SyntaxKind.SuperKeyword,
+  ts.SyntaxKind.TrueKeyword,
+  ts.SyntaxKind.FalseKeyword,
+  ts.SyntaxKind.NullKeyword
+]);
+
+const TRIVIA = new Set([ts.SyntaxKind.WhitespaceTrivia, ts.SyntaxKind.NewLineTrivia, ts.SyntaxKind.ShebangTrivia]);
+
+/**
+ * Source Mask - comment and string regions of a JavaScript/TypeScript file, for regex rules with `matchIn`
+ * Masked text has the same length and line breaks as the source, so match offsets map back unchanged
+ */
+class SourceMask {
+  constructor(content, filePath) {
+    this.content = content;
+    this.regions = SourceMask.tokenize(content, SourceMask.getLanguageVariant(filePath));
+    this.masked = new Map();
+  }
+
+  /**
+   * The source with everything outside `matchIn` ("code", "comments", "strings" or "all") blanked out
+   */
+  getText(matchIn = 'all') {
+    if (matchIn === 'all') return this.content;
+
+    if (!this.masked.has(matchIn)) {
+      const chars = this.content.split('');
+      const blank = (start, end) => {
+        for (let i = start; i < end; i++) {
+          if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+        }
+      };
+
+      if (matchIn === 'code') {
+        this.regions.forEach(region => blank(region.start, region.end));
+      } else {
+        // Keep only regions of the requested type ("comments" -> comment, "strings" -> string)
+        const type = matchIn.slice(0, -1);
+        let position = 0;
+        this.regions.forEach(region => {
+          if (region.type !== type) return;
+          blank(position, region.start);
+          position = region.end;
+        });
+        blank(position, chars.length);
+      }
+
+      this.masked.set(matchIn, chars.join(''));
+    }
+
+    return this.masked.get(matchIn);
+  }
+
+  /**
+   * JSX for .tsx/.jsx/.js files, as for AST rules; .ts keeps `<T>value` type assertions
+   */
+  static getLanguageVariant(filePath) {
+    return filePath && ['.tsx', '.jsx', '.js'].includes(path.extname(filePath))
+      ? ts.LanguageVariant.JSX
+      : ts.LanguageVariant.Standard;
+  }
+
+  /**
+   * Comment and string regions ({ type, start, end }, in source order) found with the TypeScript scanner;
+   * string regions include their quotes, template literal parts, regex literals, JSX text and attribute values,
+   * but not `${}` or `{}` expressions
+   */
+  static tokenize(content, variant = ts.LanguageVariant.Standard) {
+    const scanner = ts.createScanner(ts.ScriptTarget.Latest, false, variant, content);
+    const regions = [];
+    // Brace depth at each open `${`, to tell a template's closing "}" from a block's
+    const templateBraces = [];
+    // Open JSX contexts, innermost last: a `tag` while inside `<...>`, `children` between an element's tags
+    // and an `expression` inside `{}` in either of them
+    const jsx = [];
+    let braceDepth = 0;
+    let previous = null;
+    let token;
+
+    while ((token = scanner.scan()) !== ts.SyntaxKind.EndOfFileToken) {
+      let context = jsx[jsx.length - 1];
+
+      // Element content is text up to the next "<", "</" or "{"
+      if (context && context.type === 'children') {
+        token = scanner.reScanJsxToken();
+        const start = scanner.getTokenStart();
+
+        if (token === ts.SyntaxKind.JsxText && /\S/.test(scanner.getTokenText())) {
+          regions.push({ type: 'string', start, end: scanner.getTokenEnd() });
+        } else if (token === ts.SyntaxKind.OpenBraceToken) {
+          jsx.push({ type: 'expression', depth: ++braceDepth });
+        } else if (token === ts.SyntaxKind.LessThanToken || token === ts.SyntaxKind.LessThanSlashToken) {
+          jsx.push({ type: 'tag', closing: token === ts.SyntaxKind.LessThanSlashToken, selfClosing: false, tokens: 0 });
+        } else if (token === ts.SyntaxKind.EndOfFileToken) {
+          break;
+        }
+        continue;
+      }
+
+      const start = scanner.getTokenStart();
+      if (TRIVIA.has(token)) continue;
+
+      // `<T,>` or `<T extends U>` starts the type parameters of a generic arrow function, not an element
+      if (context && context.type === 'tag' && !context.closing && context.tokens === 1 &&
+          (token === ts.SyntaxKind.CommaToken || token === ts.SyntaxKind.ExtendsKeyword)) {
+        jsx.pop();
+        context = jsx[jsx.length - 1];
+      }
+
+      if (context && context.type === 'tag') {
+        context.tokens++;
+
+        switch (token) {
+          case ts.SyntaxKind.SingleLineCommentTrivia:
+          case ts.SyntaxKind.MultiLineCommentTrivia:
+            regions.push({ type: 'comment', start, end: scanner.getTokenEnd() });
+            break;
+          case ts.SyntaxKind.StringLiteral:
+            // Attribute values have no escape sequences
+            scanner.reScanJsxAttributeValue();
+            regions.push({ type: 'string', start, end: scanner.getTokenEnd() });
+            break;
+          case ts.SyntaxKind.OpenBraceToken:
+            jsx.push({ type: 'expression', depth: ++braceDepth });
+            break;
+          case ts.SyntaxKind.SlashToken:
+            context.selfClosing = true;
+            break;
+          case ts.SyntaxKind.GreaterThanToken:
+            jsx.pop();
+            if (context.closing) {
+              // Also leave the children of the element this tag closes
+              jsx.pop();
+            } else if (!context.selfClosing) {
+              jsx.push({ type: 'children' });
+            }
+            break;
+          default:
+            break;
+        }
+
+        previous = token;
+        continue;
+      }
+
+      switch (token) {
+        case ts.SyntaxKind.SingleLineCommentTrivia:
+        case ts.SyntaxKind.MultiLineCommentTrivia:
+          regions.push({ type: 'comment', start, end: scanner.getTokenEnd() });
+          continue;
+        case ts.SyntaxKind.StringLiteral:
+        case ts.SyntaxKind.NoSubstitutionTemplateLiteral:
+          regions.push({ type: 'string', start, end: scanner.getTokenEnd() });
+          break;
+        case ts.SyntaxKind.TemplateHead:
+          regions.push({ type: 'string', start, end: scanner.getTokenEnd() });
+          templateBraces.push(braceDepth);
+          break;
+        case ts.SyntaxKind.OpenBraceToken:
+          braceDepth++;
+          break;
+        case ts.SyntaxKind.CloseBraceToken:
+          if (templateBraces.length > 0 && templateBraces[templateBraces.length - 1] === braceDepth) {
+            token = scanner.reScanTemplateToken(false);
+            regions.push({ type: 'string', start, end: scanner.getTokenEnd() });
+            if (token === ts.SyntaxKind.TemplateTail) templateBraces.pop();
+          } else {
+            if (context && context.type === 'expression' && context.depth === braceDepth) jsx.pop();
+            braceDepth--;
+          }
+          break;
+        case ts.SyntaxKind.LessThanToken:
+          if (variant === ts.LanguageVariant.JSX && !DIVISION_PRECEDERS.has(previous)) {
+            jsx.push({ type: 'tag', closing: false, selfClosing: false, tokens: 0 });
+          }
+          break;
+        case ts.SyntaxKind.SlashToken:
+        case ts.SyntaxKind.SlashEqualsToken:
+          if (!DIVISION_PRECEDERS.has(previous)) {
+            token = scanner.reScanSlashToken();
+            if (token === ts.SyntaxKind.RegularExpressionLiteral) {
+              regions.push({ type: 'string', start, end: scanner.getTokenEnd() });
+            }
+          }
+          break;
+        default:
+          break;
+      }
+
+      previous = token;
+    }
+
+    return regions;
+  }
+}
+
+SourceMask.MATCH_IN = ['code', 'comments', 'strings', 'all'];
+
+module.exports = SourceMask;
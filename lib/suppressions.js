@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { flattenFindings, filterFindingResult } = require('./findings');
+
+// Analyzers whose findings can be silenced with inline comments
+const SUPPRESSIBLE_ANALYZERS = ['customRules', 'bugDetection'];
+
+// "// self-serve-review-disable-next-line rule-a, rule-b -- reason", "/* self-serve-review-disable rule-a -- reason */"
+const DIRECTIVE_PATTERN = /(?:\/\/|\/\*)\s*self-serve-review-(disable-next-line|disable|enable)\b(.*?)(?:\*\/|$)/;
+
+/**
+ * Suppressions - inline comments that silence known false positives of custom rules and bug detection
+ */
+class Suppressions {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    // IDs of the custom rules; every other suppressed rule belongs to bug detection
+    this.customRuleIds = new Set(options.customRuleIds || []);
+    this.entries = [];
+    this.invalid = [];
+    this.byFile = new Map();
+    // Suppressible analyzers whose results were applied in this run
+    this.appliedAnalyzers = new Set();
+  }
+
+  /**
+   * Parse the suppression comments of the given source files, read with `readFile` (the working tree by default)
+   */
+  scan(files, readFile = file => fs.readFileSync(file, 'utf8')) {
+    files.forEach(file => {
+      try {
+        const relativePath = path.relative(this.projectRoot, file).split(path.sep).join('/');
+        this.addFile(relativePath, readFile(file));
+      } catch (error) {
+        // Skip files that can't be read
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Parse the suppression comments of one file
+   */
+  addFile(file, content) {
+    const lines = content.split('\n');
+    const entries = [];
+    const openBlocks = [];
+
+    lines.forEach((text, index) => {
+      const match = text.match(DIRECTIVE_PATTERN);
+      if (!match) return;
+
+      const line = index + 1;
+      const [ruleText, ...reasonParts] = match[2].split(' -- ');
+      const rules = ruleText.split(/[\s,]+/).filter(Boolean);
+      const reason = reasonParts.join(' -- ').trim();
+      const code = text.trim();
+
+      if (match[1] === 'enable') {
+        openBlocks
+          .filter(block => block.endLine === null && (rules.length === 0 || block.rules.some(rule => rules.includes(rule))))
+          .forEach(block => { block.endLine = line; });
+        return;
+      }
+
+      if (rules.length === 0 || !reason) {
+        this.invalid.push({
+          file,
+          line,
+          rule: 'suppression-missing-justification',
+          severity: 'WARNING',
+          message: rules.length === 0
+            ? 'Suppression comment does not name a rule'
+            : `Suppression of ${rules.join(', ')} has no justification`,
+          suggestion: 'Use "self-serve-review-disable-next-line <rule-id> -- <reason>"',
+          code
+        });
+        return;
+      }
+
+      const entry = {
+        file,
+        line,
+        type: match[1],
+        rules,
+        reason,
+        // Block suppressions run until a matching enable comment or the end of the file
+        endLine: match[1] === 'disable' ? null : line + 1,
+        matches: 0,
+        code
+      };
+
+      if (entry.type === 'disable') openBlocks.push(entry);
+      entries.push(entry);
+    });
+
+    openBlocks
+      .filter(block => block.endLine === null)
+      .forEach(block => { block.endLine = lines.length + 1; });
+
+    this.entries.push(...entries);
+    this.byFile.set(file, entries);
+  }
+
+  /**
+   * Find the suppression covering a rule on a line of a file
+   */
+  find(file, ruleId, line) {
+    const entries = this.byFile.get(String(file || '').split(path.sep).join('/')) || [];
+
+    return entries.find(entry => entry.rules.includes(ruleId) && (entry.type === 'disable-next-line'
+      ? line === entry.line + 1
+      : line > entry.line && line < entry.endLine));
+  }
+
+  /**
+   * Remove suppressed findings from one analyzer result and count the matches per suppression
+   */
+  apply(analyzer, result) {
+    if (!SUPPRESSIBLE_ANALYZERS.includes(analyzer)) {
+      return { result, suppressed: [] };
+    }
+
+    this.appliedAnalyzers.add(analyzer);
+    if (this.entries.length === 0) {
+      return { result, suppressed: [] };
+    }
+
+    const byItem = new Map(flattenFindings({ [analyzer]: result }).map(finding => [finding.raw, finding]));
+    const { result: filtered, removed } = filterFindingResult(analyzer, result, item => {
+      const finding = byItem.get(item);
+      const entry = finding && this.find(finding.file, finding.ruleId, finding.startLine);
+      if (entry) entry.matches++;
+      return !entry;
+    });
+
+    return { result: filtered, suppressed: removed };
+  }
+
+  /**
+   * Analyzer whose findings a suppressed rule ID refers to
+   */
+  getRuleAnalyzer(ruleId) {
+    return this.customRuleIds.has(ruleId) ? 'customRules' : 'bugDetection';
+  }
+
+  /**
+   * Result stored under findings.suppressions: active suppressions with their reasons,
+   * plus unused and unjustified suppressions as findings
+   * A suppression only counts as unused when the analyzers of all its rules ran in this run.
+   */
+  getResult() {
+    const unused = this.entries
+      .filter(entry => entry.matches === 0 &&
+        entry.rules.every(rule => this.appliedAnalyzers.has(this.getRuleAnalyzer(rule))))
+      .map(entry => ({
+        file: entry.file,
+        line: entry.line,
+        rule: 'unused-suppression',
+        severity: 'WARNING',
+        message: `Unused suppression for ${entry.rules.join(', ')}`,
+        suggestion: 'Remove the comment; nothing is reported here any more',
+        code: entry.code
+      }));
+
+    return {
+      success: true,
+      active: this.entries
+        .filter(entry => entry.matches > 0)
+        .map(({ code, ...entry }) => entry),
+      unused,
+      invalid: this.invalid
+    };
+  }
+}
+
+Suppressions.SUPPRESSIBLE_ANALYZERS = SUPPRESSIBLE_ANALYZERS;
+
+module.exports = Suppressions;
@@ -0,0 +1,36 @@
+const AnalyzerRegistry = require('../lib/analyzer-registry');
+
+describe('Analyzer Registry', () => {
+  test('should register all built-in analyzers', () => {
+    const registry = AnalyzerRegistry.createDefault();
+
+    expect(registry.names()).toEqual(AnalyzerRegistry.BUILT_IN_ANALYZERS);
+    expect(registry.get('bug-detection').key).toBe('bugDetection');
+    expect(registry.get('security').weight).toBe(25);
+  });
+
+  test('should reject analyzers that do not follow the contract', () => {
+    const registry = new AnalyzerRegistry();
+
+    expect(() => registry.register({ name: 'broken' })).toThrow("Missing required function 'run(context)'");
+    expect(() => registry.register({ name: 'weighted', run: () => ({}), weight: -1 })).toThrow("'weight' must be a non-negative number");
+  });
+
+  test('should resolve dependencies before dependents', () => {
+    const registry = new AnalyzerRegistry()
+      .register({ name: 'base', run: () => ({}) })
+      .register({ name: 'derived', dependencies: ['base'], run: () => ({}) });
+
+    const { analyzers, unknown } = registry.resolve(['derived', 'missing']);
+    expect(analyzers.map(a => a.name)).toEqual(['base', 'derived']);
+    expect(unknown).toEqual(['missing']);
+  });
+
+  test('should detect circular dependencies', () => {
+    const registry = new AnalyzerRegistry()
+      .register({ name: 'a', dependencies: ['b'], run: () => ({}) })
+      .register({ name: 'b', dependencies: ['a'], run: () => ({}) });
+
+    expect(() => registry.resolve(['a'])).toThrow('Circular analyzer dependency');
+  });
+});
@@ -0,0 +1,29 @@
+const AstMatcher = require('../lib/ast-matcher');
+
+describe('AST matcher', () => {
+  const selector = "CallExpression[callee.object.name='jwt'][callee.property.name='sign'] > Literal:nth-child(2)";
+
+  test('should find nodes in multi-line calls with their source locations', () => {
+    const content = [
+      "import jwt from 'jsonwebtoken';",
+      'export const token = jwt.sign(',
+      '  { sub: user.id } as Payload,',
+      "  'hardcoded-secret'",
+      ');',
+      'export const safe = jwt.sign(payload, process.env.JWT_SECRET);'
+    ].join('\n');
+
+    const nodes = new AstMatcher().match(AstMatcher.parse(content, 'src/auth.ts'), selector);
+
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0].loc).toEqual({ start: { line: 4, column: 2 }, end: { line: 4, column: 20 } });
+    expect(content.slice(...nodes[0].range)).toBe("'hardcoded-secret'");
+  });
+
+  test('should parse JSX and reject invalid selectors', () => {
+    const content = 'export const App = () => <a href="#">{jwt.sign(payload, "secret")}</a>;';
+
+    expect(new AstMatcher().match(AstMatcher.parse(content, 'src/App.tsx'), selector)).toHaveLength(1);
+    expect(() => AstMatcher.parseSelector('CallExpression[[')).toThrow('Invalid AST selector "CallExpression[["');
+  });
+});
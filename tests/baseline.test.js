@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Baseline = require('../lib/baseline');
+const CodeReviewTool = require('../lib/index');
+
+const customRules = (details) => ({ success: true, violations: details.length, details });
+const violation = (line, matchedText) => ({
+  file: 'src/app.ts', line, rule: 'no-console-log-production', severity: 'ERROR',
+  message: 'Avoid console.log in production code', matchedText
+});
+
+describe('Baseline', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('should write fingerprinted findings to the baseline file', () => {
+    new Baseline(projectRoot).write({ customRules: customRules([violation(3, "console.log('a')")]) });
+
+    const content = JSON.parse(fs.readFileSync(path.join(projectRoot, Baseline.BASELINE_FILE), 'utf8'));
+    expect(content.findings).toHaveLength(1);
+    expect(content.findings[0]).toMatchObject({ analyzer: 'customRules', ruleId: 'no-console-log-production', file: 'src/app.ts' });
+    expect(content.findings[0].fingerprint).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test('should separate new findings from baselined ones after lines shift', () => {
+    new Baseline(projectRoot).write({ customRules: customRules([violation(3, "console.log('a')")]) });
+
+    const { result, baselined } = new Baseline(projectRoot).apply('customRules',
+      customRules([violation(8, "console.log('a')"), violation(12, "console.log('b')")]));
+
+    expect(baselined).toHaveLength(1);
+    expect(baselined[0].startLine).toBe(8);
+    expect(result.violations).toBe(1);
+    expect(result.details[0].line).toBe(12);
+  });
+
+  test('should record findings below the configured severity when updating the baseline', async () => {
+    fs.mkdirSync(path.join(projectRoot, 'src'));
+    fs.writeFileSync(path.join(projectRoot, 'src', 'app.ts'), "console.log('a');\n// TODO: remove\n");
+    fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'), JSON.stringify({
+      severity: 'error',
+      rules: [
+        { id: 'no-console-log-production', pattern: 'console\\.log', severity: 'ERROR', category: 'quality', description: 'Avoid console.log', suggestion: 'Use the logger' },
+        { id: 'todo-comment', pattern: 'TODO', severity: 'INFO', category: 'quality', description: 'Resolve TODOs', suggestion: 'Open an issue instead' }
+      ]
+    }));
+    const run = (options) => new CodeReviewTool({ projectRoot })
+      .analyze({ analyzers: ['custom-rules'], reporters: [], additionalReporters: [], ...options });
+
+    const recorded = await run({ updateBaseline: true });
+    expect(recorded.findings.customRules.violations).toBe(0);
+    expect(new Baseline(projectRoot).load().map(entry => entry.ruleId).sort()).toEqual(['no-console-log-production', 'todo-comment']);
+
+    const lowered = await run({ severity: 'info' });
+    expect(lowered.findings.customRules.violations).toBe(0);
+    expect(lowered.baseline.baselined).toBe(2);
+  });
+});
@@ -0,0 +1,125 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangedFiles = require('../lib/changed-files');
+const CodeReviewTool = require('../lib/index');
+
+const diff = `diff --git src/a.ts src/a.ts
+index 1111111..2222222 100644
+--- src/a.ts
++++ src/a.ts
+@@ -3,0 +4,2 @@ const a = 1;
++setInterval(tick, 10);
++console.log('x');
+@@ -9 +11 @@ function run() {
+-  return 1;
++  return 2;
+@@ -20,2 +22,0 @@
+-gone();
+-gone();
+diff --git src/old.ts src/old.ts
+deleted file mode 100644
+--- src/old.ts
++++ /dev/null
+@@ -1 +0,0 @@
+-x();
+`;
+
+describe('Changed files', () => {
+  test('should parse changed line ranges from git diff output', () => {
+    expect(ChangedFiles.parseDiff(diff)).toEqual({ 'src/a.ts': [[4, 5], [11, 11]] });
+  });
+
+  test('should keep only findings in changed files, optionally on changed lines', () => {
+    const customRules = {
+      success: true,
+      violations: 3,
+      details: [
+        { file: 'src/a.ts', line: 5, rule: 'no-console', severity: 'WARNING', message: 'Avoid console.log' },
+        { file: 'src/a.ts', line: 30, rule: 'no-console', severity: 'WARNING', message: 'Avoid console.log' },
+        { file: 'src/b.ts', line: 5, rule: 'no-console', severity: 'WARNING', message: 'Avoid console.log' }
+      ]
+    };
+    const eslint = { details: [{ file: '/src/a.ts', line: 30, severity: 'error', rule: 'no-undef', message: 'x is not defined' }], errors: 1, warnings: 0 };
+    const files = ChangedFiles.parseDiff(diff);
+
+    const byFile = new ChangedFiles(files, { since: 'main' });
+    expect(byFile.apply('customRules', customRules).result.violations).toBe(2);
+    expect(byFile.apply('eslint', eslint).result.errors).toBe(1);
+
+    const byLine = new ChangedFiles(files, { since: 'main', lines: true });
+    const { result, outOfScope } = byLine.apply('customRules', customRules);
+    expect(result.details.map(item => item.line)).toEqual([5]);
+    expect(outOfScope).toHaveLength(2);
+    expect(byLine.apply('complexity', { issues: [{ file: 'src/b.ts', line: 1 }] }).outOfScope).toHaveLength(0);
+  });
+
+  test('should list changed, staged and untracked files with git', () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'changed-files-'));
+    const git = (...args) => execFileSync('git', ['-c', 'user.email=test@example.com', '-c', 'user.name=test', ...args], { cwd: projectRoot, stdio: 'pipe' });
+
+    try {
+      fs.mkdirSync(path.join(projectRoot, 'src'));
+      fs.writeFileSync(path.join(projectRoot, 'src', 'a.ts'), 'const a = 1;\n');
+      fs.writeFileSync(path.join(projectRoot, 'src', 'b.ts'), 'const b = 1;\n');
+      git('init', '-q');
+      git('add', '-A');
+      git('commit', '-qm', 'init');
+
+      fs.appendFileSync(path.join(projectRoot, 'src', 'a.ts'), 'const c = 2;\n');
+      fs.writeFileSync(path.join(projectRoot, 'src', 'new.ts'), 'const n = 1;\n');
+
+      const since = ChangedFiles.fromGit(projectRoot, { since: 'HEAD' });
+      expect(since.getSummary().files).toEqual(['src/a.ts', 'src/new.ts']);
+      expect(since.files.get('src/a.ts')).toEqual([[2, 2]]);
+
+      git('add', 'src/new.ts');
+      expect(ChangedFiles.fromGit(projectRoot, { staged: true }).getSummary().files).toEqual(['src/new.ts']);
+      expect(() => ChangedFiles.fromGit(projectRoot, { since: 'no-such-ref' })).toThrow('Could not list changed files');
+    } finally {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    }
+  });
+
+  test('should analyze the staged or committed content instead of the working tree', async () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'changed-files-'));
+    const git = (...args) => execFileSync('git', ['-c', 'user.email=test@example.com', '-c', 'user.name=test', ...args], { cwd: projectRoot, stdio: 'pipe' });
+    const source = path.join(projectRoot, 'src', 'a.ts');
+    const violations = async (options) => (await new CodeReviewTool({ projectRoot })
+      .analyze({ analyzers: ['custom-rules'], reporters: [], additionalReporters: [], ...options })).findings.customRules.violations;
+
+    try {
+      fs.mkdirSync(path.join(projectRoot, 'src'));
+      fs.writeFileSync(source, 'const a = 1;\n');
+      fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'), JSON.stringify({
+        rules: [{ id: 'no-console-log', pattern: 'console\\.log', severity: 'CRITICAL', category: 'quality', description: 'No console.log', suggestion: 'Use the logger' }]
+      }));
+      git('init', '-q');
+      git('add', '-A');
+      git('commit', '-qm', 'init');
+
+      // Staged with a violation, fixed on disk only
+      fs.writeFileSync(source, "console.log('staged');\n");
+      git('add', 'src/a.ts');
+      fs.writeFileSync(source, 'const a = 2;\n');
+      expect(await violations({ staged: true })).toBe(1);
+
+      // Committed with a violation; the uncommitted fix and an untracked file do not count for the range
+      git('commit', '-qm', 'log');
+      fs.writeFileSync(path.join(projectRoot, 'src', 'new.ts'), "console.log('untracked');\n");
+      const range = ChangedFiles.fromGit(projectRoot, { since: 'HEAD~1...HEAD' });
+      expect(range.getSummary().files).toEqual(['src/a.ts']);
+      expect(range.readFile('src/a.ts')).toBe("console.log('staged');\n");
+      expect(await violations({ since: 'HEAD~1...HEAD' })).toBe(1);
+
+      // Staged clean, dirty on disk
+      fs.writeFileSync(source, 'const a = 3;\n');
+      git('add', 'src/a.ts');
+      fs.writeFileSync(source, "console.log('unstaged');\n");
+      expect(await violations({ staged: true })).toBe(0);
+    } finally {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    }
+  });
+});
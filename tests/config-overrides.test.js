@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigOverrides = require('../lib/config-overrides');
+const ConfigManager = require('../lib/config-manager');
+const AnalyzerBase = require('../lib/analyzer-base');
+const RuleEngine = require('../lib/rule-engine');
+const CodeReviewTool = require('../lib/index');
+
+describe('Config overrides', () => {
+  const overrides = [
+    { files: ['src/**'], rules: { 'no-console-log': 'error' } },
+    { files: ['scripts/**', 'src/cli/**'], excludedFiles: ['**/*.test.ts'], rules: { 'no-console-log': 'off' }, analyzers: ['custom-rules'] }
+  ];
+
+  test('should turn rules off or change their severity per path, later blocks winning', () => {
+    const ruleEngine = new RuleEngine({
+      rules: [{ id: 'no-console-log', severity: 'WARNING' }, { id: 'no-any', severity: 'INFO' }],
+      overrides
+    });
+    const rulesFor = (file) => ruleEngine.getRulesForFile(file).map(rule => `${rule.id}:${rule.severity}`);
+
+    expect(rulesFor('src/index.ts')).toEqual(['no-console-log:ERROR', 'no-any:INFO']);
+    expect(rulesFor('src/cli/main.ts')).toEqual(['no-any:INFO']);
+    expect(rulesFor('src/cli/main.test.ts')).toEqual(['no-console-log:ERROR', 'no-any:INFO']);
+    expect(rulesFor('scripts/seed.js')).toEqual(['no-any:INFO']);
+    expect(rulesFor('lib/util.js')).toEqual(['no-console-log:WARNING', 'no-any:INFO']);
+    expect(ruleEngine.rules[0].severity).toBe('WARNING');
+
+    expect(ruleEngine.explainRuleForFile(ruleEngine.rules[0], 'scripts/seed.js')).toMatchObject({
+      applies: false,
+      reason: 'no files patterns (applies to all files), turned off by overrides[1] ("scripts/**", "src/cli/**")'
+    });
+  });
+
+  test('should decide which analyzers read a file', () => {
+    const configOverrides = new ConfigOverrides(overrides);
+
+    expect(configOverrides.isAnalyzerEnabled('bug-detection', 'src/index.ts')).toBe(true);
+    expect(configOverrides.isAnalyzerEnabled('bug-detection', 'scripts/seed.js')).toBe(false);
+    expect(configOverrides.isAnalyzerEnabled('custom-rules', 'scripts/seed.js')).toBe(true);
+  });
+
+  test('should validate override blocks', () => {
+    expect(ConfigOverrides.validate(overrides)).toEqual([]);
+    expect(ConfigOverrides.validate({ files: ['src/**'] })).toEqual(['overrides must be a list of override blocks']);
+    expect(ConfigOverrides.validate([{ rules: { 'no-any': 'fatal' }, analyzers: 'performance' }])).toEqual([
+      'overrides[0]: files must be a non-empty list of globs',
+      'overrides[0]: analyzers must be a list of analyzer names',
+      "overrides[0]: invalid setting 'fatal' for rule no-any. Must be one of: off, critical, error, warning, info"
+    ]);
+  });
+
+  describe('Configured project', () => {
+    let projectRoot;
+
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'config-overrides-'));
+      ['src/index.ts', 'scripts/seed.ts'].forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, file), 'console.log("hello");\n');
+      });
+      fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'), JSON.stringify({
+        include: ['src', 'scripts'],
+        rules: [{ id: 'no-console-log', pattern: 'console\\.log', severity: 'WARNING', category: 'quality', description: 'No console.log' }],
+        overrides: [
+          { files: ['src/**'], rules: { 'no-console-log': 'error' } },
+          { files: ['scripts/**'], rules: { 'no-console-log': 'off' }, analyzers: ['custom-rules'] }
+        ]
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    test('should report custom rule violations with the severity of each path and skip analyzers left out', async () => {
+      const configManager = new ConfigManager({ projectRoot });
+      await configManager.loadConfig();
+      const analyzer = new AnalyzerBase(configManager);
+      const relative = (files) => files.map(file => path.relative(projectRoot, file).split(path.sep).join('/'));
+
+      expect(configManager.validateConfig().errors).toEqual([]);
+      expect(relative(analyzer.getScopedSourceFiles('bug-detection'))).toEqual(['src/index.ts']);
+      expect(relative(analyzer.getScopedSourceFiles('custom-rules'))).toEqual(['scripts/seed.ts', 'src/index.ts']);
+
+      const result = await analyzer.checkCustomRules(new RuleEngine(configManager.getRules()));
+      expect(result.details.map(violation => [violation.file, violation.severity])).toEqual([['src/index.ts', 'ERROR']]);
+    });
+
+    test('should stop the analysis with the validation messages when an override block is malformed', async () => {
+      fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'), JSON.stringify({
+        include: ['src'],
+        overrides: [{ files: 'src/**', rules: { 'no-console-log': 'fatal' } }]
+      }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(new CodeReviewTool({ projectRoot }).analyze({ analyzers: ['custom-rules'], reporters: [], additionalReporters: [] }))
+        .rejects.toThrow("Invalid overrides in configuration: overrides[0]: files must be a non-empty list of globs, overrides[0]: invalid setting 'fatal'");
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileWalker = require('../lib/file-walker');
+const ConfigManager = require('../lib/config-manager');
+const AnalyzerBase = require('../lib/analyzer-base');
+
+describe('File walker', () => {
+  let projectRoot;
+
+  const touch = (...files) => files.forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), '');
+  });
+  const list = (options) => new FileWalker(projectRoot, options).getFiles().map(file => path.relative(projectRoot, file).split(path.sep).join('/'));
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'file-walker-'));
+    touch(
+      'src/a.ts', 'src/b.tsx', 'src/c.d.ts', 'src/d.mjs', 'src/notes.txt', 'src/legacy.min.js',
+      'src/generated/x.ts', 'src/keep.gen.ts', 'src/skip.gen.ts',
+      'lib/index.js', 'apps/api/src/main.ts', 'apps/web/src/app.jsx', 'node_modules/pkg/index.js'
+    );
+    fs.writeFileSync(path.join(projectRoot, 'src', '.gitignore'), 'generated/\n*.gen.ts\n!keep.gen.ts\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('should collect src files with the default extensions, honouring ignore patterns and .gitignore', () => {
+    expect(list({ ignore: ['node_modules/', '*.min.js'] })).toEqual(['src/a.ts', 'src/b.tsx', 'src/d.mjs', 'src/keep.gen.ts']);
+  });
+
+  test('should use include globs, plain directories and configured extensions', () => {
+    expect(list({ include: ['lib', 'apps/*/src/**'] })).toEqual(['apps/api/src/main.ts', 'apps/web/src/app.jsx', 'lib/index.js']);
+    expect(list({ include: ['**'], extensions: ['.js'], ignore: ['node_modules/'] })).toEqual(['lib/index.js', 'src/legacy.min.js']);
+    expect(list({ include: ['services/**'] })).toEqual([]);
+  });
+
+  test('should lint the walked files with ESLint, outside src/ too', async () => {
+    fs.writeFileSync(path.join(projectRoot, '.eslintrc.json'), '{}');
+    fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'), JSON.stringify({ include: ['src', 'lib'], ignore: ['*.min.js'] }));
+    const configManager = new ConfigManager({ projectRoot });
+    await configManager.loadConfig();
+    const analyzer = new AnalyzerBase(configManager);
+    const output = JSON.stringify([{ filePath: path.join(projectRoot, 'lib', 'index.js'), errorCount: 1, warningCount: 0, messages: [{ line: 1, column: 1, severity: 2, ruleId: 'no-undef', message: 'x is not defined' }] }]);
+    const runCommand = jest.spyOn(analyzer, 'runCommand').mockResolvedValue({ success: false, output });
+
+    const result = await analyzer.checkESLint();
+
+    expect(runCommand.mock.calls[0][0]).toBe("npx eslint --format json 'lib/index.js' 'src/a.ts' 'src/b.tsx' 'src/d.mjs' 'src/keep.gen.ts'");
+    expect(result.details).toMatchObject([{ file: '/lib/index.js', rule: 'no-undef' }]);
+  });
+});
@@ -0,0 +1,55 @@
+const { flattenFindings, formatLocation } = require('../lib/findings');
+
+describe('Finding model', () => {
+  test('should adapt every analyzer result to the same finding shape', () => {
+    const [eslint, typescript, custom, bug] = flattenFindings({
+      eslint: {
+        details: [{ file: '/src/a.ts', line: 3, column: 5, endLine: 3, endColumn: 9, severity: 'error', rule: 'no-undef', message: "'x' is not defined." }]
+      },
+      typescript: {
+        details: [{ file: 'src/a.ts', line: 7, column: 1, code: '2322', message: "Type 'string' is not assignable to type 'number'." }]
+      },
+      customRules: {
+        details: [{ file: 'src/a.ts', line: 10, column: 3, endLine: 10, endColumn: 14, rule: 'no-console-log-production', category: 'logging', severity: 'ERROR', message: 'Avoid console.log', matchedText: 'console.log' }]
+      },
+      bugDetection: {
+        bugs: [],
+        potentialIssues: [],
+        securityRisks: [{ file: 'src/a.ts', line: 12, issue: 'Hardcoded secret detected', severity: 'CRITICAL', code: "const key = 'abc';" }],
+        performanceIssues: []
+      }
+    });
+
+    expect(eslint).toMatchObject({
+      analyzer: 'eslint',
+      ruleId: 'no-undef',
+      severity: 'error',
+      category: 'style',
+      file: '/src/a.ts',
+      startLine: 3,
+      startColumn: 5,
+      endLine: 3,
+      endColumn: 9
+    });
+    expect(typescript).toMatchObject({ ruleId: 'TS2322', severity: 'error', category: 'type-safety', endLine: 7, snippet: null });
+    expect(custom).toMatchObject({ category: 'logging', severity: 'error', snippet: 'console.log', endColumn: 14 });
+    expect(bug).toMatchObject({ ruleId: 'hardcoded-secret-detected', category: 'security', severity: 'critical', snippet: "const key = 'abc';" });
+    expect(bug.id).toBe(`bugDetection:hardcoded-secret-detected:${bug.fingerprint.slice(0, 8)}`);
+  });
+
+  test('should keep the fingerprint when a finding moves and tell identical findings apart', () => {
+    const detail = { file: 'src/a.ts', line: 4, severity: 'warning', rule: 'no-console', message: 'Unexpected console statement' };
+    const [before] = flattenFindings({ eslint: { details: [detail] } });
+    const [after, duplicate] = flattenFindings({ eslint: { details: [{ ...detail, line: 40 }, { ...detail, line: 41 }] } });
+
+    expect(after.fingerprint).toBe(before.fingerprint);
+    expect(duplicate.fingerprint).not.toBe(after.fingerprint);
+  });
+
+  test('should format the location of findings with and without a file', () => {
+    expect(formatLocation({ analyzer: 'eslint', file: 'src/a.ts', startLine: 3, startColumn: 7 })).toBe('src/a.ts:3:7');
+    expect(formatLocation({ analyzer: 'eslint', file: 'src/a.ts', startLine: null, startColumn: null })).toBe('src/a.ts');
+    expect(formatLocation({ analyzer: 'security', file: null, package: 'lodash' })).toBe('lodash');
+    expect(formatLocation({ analyzer: 'tests', file: null, package: null })).toBe('tests');
+  });
+});
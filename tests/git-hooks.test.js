@@ -0,0 +1,94 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitHooks = require('../lib/git-hooks');
+
+// Git config set through the environment (e.g. a core.hooksPath override in CI) would win over the repository config
+jest.mock('child_process', () => {
+  const actual = jest.requireActual('child_process');
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('GIT_CONFIG_')));
+  return { ...actual, execFileSync: (command, args, options = {}) => actual.execFileSync(command, args, { ...options, env }) };
+});
+
+describe('Git hooks', () => {
+  let repoRoot;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repoRoot, stdio: 'pipe' });
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'git-hooks-'));
+    fs.mkdirSync(path.join(repoRoot, 'services', 'api'), { recursive: true });
+    git('init', '-q');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('should install hooks that run from the project directory and remove them again', () => {
+    const hooks = new GitHooks(path.join(repoRoot, 'services', 'api'));
+    const preCommit = path.join(repoRoot, '.git', 'hooks', 'pre-commit');
+
+    expect(hooks.install().map(result => result.action)).toEqual(['created', 'created']);
+    const content = fs.readFileSync(preCommit, 'utf8');
+    expect(content).toMatch(/^#!\/bin\/sh\n/);
+    expect(content).toContain('cd "$(git rev-parse --show-toplevel)/services/api"');
+    expect(content).toContain('--staged');
+    expect(content).toContain('git commit --no-verify');
+    expect(fs.statSync(preCommit).mode & 0o111).not.toBe(0);
+    expect(hooks.status().map(entry => entry.installed)).toEqual([true, true]);
+
+    expect(hooks.install(['pre-commit'])[0].action).toBe('updated');
+    expect(fs.readFileSync(preCommit, 'utf8')).toBe(content);
+
+    expect(hooks.uninstall().map(result => result.action)).toEqual(['removed', 'removed']);
+    expect(fs.existsSync(preCommit)).toBe(false);
+  });
+
+  test('should add to existing hooks in core.hooksPath and keep their commands', () => {
+    git('config', 'core.hooksPath', '.husky');
+    const huskyHook = path.join(repoRoot, '.husky', 'pre-push');
+    const existing = '#!/bin/sh\nnpx lint-staged\nexit 0\n';
+    fs.mkdirSync(path.dirname(huskyHook));
+    fs.writeFileSync(huskyHook, existing);
+
+    const hooks = new GitHooks(repoRoot);
+    expect(hooks.getHooksDir()).toBe(path.join(fs.realpathSync(repoRoot), '.husky'));
+    expect(hooks.install(['pre-push'])[0].action).toBe('added');
+
+    const content = fs.readFileSync(huskyHook, 'utf8');
+    // The analysis runs before the existing commands, which end with "exit 0"
+    expect(content.indexOf('self-serve-review analyze')).toBeLessThan(content.indexOf('npx lint-staged'));
+    expect(content).toContain('--since "$upstream...HEAD"');
+    expect(hooks.status().find(entry => entry.hook === 'pre-push')).toMatchObject({ installed: true, shared: true });
+
+    expect(hooks.uninstall(['pre-push'])[0].action).toBe('stripped');
+    expect(fs.readFileSync(huskyHook, 'utf8')).toBe(existing);
+  });
+
+  test('should refuse to install when core.hooksPath is not a directory', () => {
+    git('config', 'core.hooksPath', '/dev/null');
+
+    expect(() => new GitHooks(repoRoot).install()).toThrow('/dev/null is not a directory, so git runs no hooks from it: core.hooksPath disables or redirects hooks');
+  });
+
+  test('should tell blocking findings from an analysis that could not run', () => {
+    const preCommit = path.join(repoRoot, '.git', 'hooks', 'pre-commit');
+    const binDir = path.join(repoRoot, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'npx'), '#!/bin/sh\nexit $FAKE_NPX_STATUS\n', { mode: 0o755 });
+    new GitHooks(repoRoot).install(['pre-commit']);
+
+    const runHook = status => jest.requireActual('child_process').spawnSync('sh', [preCommit], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+      env: { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}`, FAKE_NPX_STATUS: String(status) }
+    });
+
+    expect(fs.readFileSync(preCommit, 'utf8')).toContain('--fail-on critical,bug-detection:error');
+    expect(runHook(0).status).toBe(0);
+    expect(runHook(2)).toMatchObject({ status: 1, stdout: expect.stringContaining('commit blocked by CRITICAL') });
+    expect(runHook(1)).toMatchObject({ status: 1, stdout: expect.stringContaining('analysis could not run (exit code 1)') });
+  });
+});
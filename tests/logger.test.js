@@ -0,0 +1,21 @@
+const logger = require('../lib/logger');
+
+describe('Logger', () => {
+  afterEach(() => {
+    logger.setStream(null);
+    jest.restoreAllMocks();
+  });
+
+  test('should print to the console by default and to the configured stream otherwise', () => {
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stream = { write: jest.fn() };
+
+    logger.log('📋 Running %d analyzers...', 2);
+    logger.setStream(stream);
+    logger.log('📋 Running %d analyzers...', 3);
+
+    expect(consoleLog).toHaveBeenCalledWith('📋 Running %d analyzers...', 2);
+    expect(stream.write).toHaveBeenCalledWith('📋 Running 3 analyzers...\n');
+    expect(console.log).toBe(consoleLog);
+  });
+});
@@ -0,0 +1,63 @@
+const QualityGate = require('../lib/quality-gate');
+
+const thresholds = {
+  eslint: { maxErrors: 0, maxWarnings: 10 },
+  tests: { minCoverage: 70 },
+  complexity: { minScore: 80 }
+};
+
+const findings = {
+  eslint: { success: false, errors: 2, warnings: 3, details: [] },
+  complexity: { success: true, score: 90, issues: [] }
+};
+
+describe('Quality Gate', () => {
+  test('should check each threshold and skip analyzers that did not run', () => {
+    const gate = new QualityGate(thresholds).evaluate(findings, { overall: 75 });
+
+    expect(gate.passed).toBe(false);
+    expect(gate.failed).toBe(1);
+    expect(gate.checks.map(check => [check.name, check.status])).toEqual([
+      ['eslint.maxErrors', 'failed'],
+      ['eslint.maxWarnings', 'passed'],
+      ['tests.minCoverage', 'skipped'],
+      ['complexity.minScore', 'passed']
+    ]);
+    expect(gate.checks[0]).toMatchObject({ actual: 2, threshold: 0, type: 'max' });
+  });
+
+  test('should derive the exit code from the policy', () => {
+    expect(new QualityGate(thresholds, { policy: 'gate' }).evaluate(findings, { overall: 75 }).exitCode).toBe(1);
+    expect(new QualityGate(thresholds, { policy: 'warn' }).evaluate(findings, { overall: 10 }).exitCode).toBe(0);
+    expect(new QualityGate(thresholds, { policy: 'score', minScore: 70 }).evaluate(findings, { overall: 75 }).exitCode).toBe(0);
+    expect(new QualityGate(thresholds, { policy: 'score', minScore: 80 }).evaluate(findings, { overall: 75 }).exitCode).toBe(1);
+  });
+
+  test('should check overrides thresholds against the findings in their files', () => {
+    const eslintFindings = {
+      eslint: {
+        errors: 1,
+        warnings: 4,
+        details: [
+          { file: '/src/a.ts', severity: 'error' },
+          { file: '/src/a.ts', severity: 'warning' },
+          { file: '/scripts/seed.js', severity: 'warning' },
+          { file: '/scripts/seed.js', severity: 'warning' },
+          { file: '/scripts/seed.js', severity: 'warning' }
+        ]
+      }
+    };
+    const overrides = [{ files: ['scripts/**'], thresholds: { eslint: { maxWarnings: 2 }, tests: { minCoverage: 0 } } }];
+    const gate = new QualityGate({ eslint: { maxErrors: 0, maxWarnings: 1 } }, { overrides }).evaluate(eslintFindings, { overall: 75 });
+
+    expect(gate.checks.map(check => [check.name, check.status, check.actual])).toEqual([
+      ['eslint.maxErrors', 'failed', 1],
+      ['eslint.maxWarnings', 'passed', 1],
+      ['eslint.maxErrors [scripts/**]', 'passed', 0],
+      ['eslint.maxWarnings [scripts/**]', 'failed', 3],
+      ['tests.minCoverage [scripts/**]', 'skipped', null]
+    ]);
+    expect(gate.checks[3]).toMatchObject({ threshold: 2, scope: 'overrides[0] ("scripts/**")' });
+    expect(gate.checks[4].reason).toBe('Not measurable per file');
+  });
+});
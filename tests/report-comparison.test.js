@@ -0,0 +1,55 @@
+const ReportComparison = require('../lib/report-comparison');
+
+const report = (bugs, overall, grade, bugScore) => ({
+  metadata: { timestamp: '2026-01-01T00:00:00.000Z', project: 'demo' },
+  score: {
+    overall,
+    grade,
+    breakdown: {
+      eslint: { score: 100, weight: 20 },
+      'bug-detection': { score: bugScore, weight: 10 }
+    }
+  },
+  findings: {
+    bugDetection: { bugs, potentialIssues: [], securityRisks: [], performanceIssues: [] }
+  }
+});
+
+const leak = { file: 'src/a.ts', line: 3, issue: 'Potential memory leak: setInterval without clearInterval', severity: 'ERROR', code: 'setInterval(tick, 100);' };
+const emptyCatch = { file: 'src/b.ts', line: 9, issue: 'Empty catch block', severity: 'WARNING', code: 'catch (e) {}' };
+
+describe('Report comparison', () => {
+  test('should match findings by fingerprint and report score and grade changes', () => {
+    const comparison = new ReportComparison(
+      report([leak], 90, 'A', 75),
+      report([{ ...leak, line: 30 }, emptyCatch], 84, 'B', 50),
+      { previous: 'release-1.json', current: 'release-2.json' }
+    );
+    const result = comparison.compare();
+
+    expect(result.added.map(finding => finding.ruleId)).toEqual(['empty-catch-block']);
+    expect(result.fixed).toHaveLength(0);
+    expect(result.unchanged.map(finding => finding.startLine)).toEqual([30]);
+    expect(result.score).toEqual({ previous: 90, current: 84, delta: -6 });
+    expect(result.grade).toEqual({ previous: 'A', current: 'B', changed: true });
+    expect(result.verdict).toBe('regressed');
+    expect(result.analyzers).toEqual([
+      { analyzer: 'eslint', previous: 100, current: 100, delta: 0 },
+      { analyzer: 'bug-detection', previous: 75, current: 50, delta: -25 }
+    ]);
+
+    const json = comparison.toJSON();
+    expect(json.summary).toEqual({ added: 1, fixed: 0, unchanged: 1 });
+    expect(json.added[0].raw).toBeUndefined();
+
+    const markdown = comparison.toMarkdown();
+    expect(markdown).toContain('**release-1.json** → **release-2.json**');
+    expect(markdown).toContain('| Grade | A | B | A → B |');
+    expect(markdown).toContain('## 🆕 New Findings (1)');
+    expect(markdown).not.toContain('Fixed Findings');
+  });
+
+  test('should reject files that are not JSON reports', () => {
+    expect(() => ReportComparison.load(require.resolve('../package.json'))).toThrow('is not a self-serve-review JSON report');
+  });
+});
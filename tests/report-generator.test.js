@@ -0,0 +1,153 @@
+const path = require('path');
+const ReportGenerator = require('../lib/report-generator');
+const RuleEngine = require('../lib/rule-engine');
+
+const projectRoot = path.join(__dirname, 'fixtures-project');
+
+const createGenerator = () => new ReportGenerator({
+  projectRoot,
+  getOutputDir: () => projectRoot,
+  getSummary: () => ({ template: 'none' })
+});
+
+const ruleEngine = new RuleEngine({
+  rules: [{
+    id: 'no-console-log-production',
+    category: 'logging',
+    severity: 'ERROR',
+    description: 'Avoid console.log in production code',
+    pattern: 'console\\.log',
+    suggestion: 'Use the structured logger',
+    example: { bad: "console.log('x');", good: "logger.info('x');" }
+  }]
+});
+
+const findings = {
+  eslint: {
+    success: false,
+    errors: 1,
+    warnings: 0,
+    details: [{ file: '/src/app.ts', line: 4, column: 7, severity: 'error', rule: 'no-unused-vars', message: "'x' is defined but never used." }]
+  },
+  customRules: {
+    success: true,
+    violations: 1,
+    details: [{ file: 'src/app.ts', line: 10, rule: 'no-console-log-production', category: 'logging', severity: 'ERROR', message: 'Avoid console.log in production code', suggestion: 'Use the structured logger', matchedText: 'console.log' }]
+  },
+  bugDetection: {
+    bugs: [],
+    potentialIssues: [{ file: 'src/app.ts', line: 12, issue: 'Potentially unused variable: y', severity: 'INFO', code: 'const y = 1;' }],
+    securityRisks: [],
+    performanceIssues: []
+  }
+};
+
+describe('Report Generator', () => {
+  describe('SARIF', () => {
+    test('should create one run per analyzer with rule metadata and locations', () => {
+      const sarif = createGenerator().createSARIFLog(findings, ruleEngine);
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(sarif.runs.map(run => run.tool.driver.name)).toEqual([
+        'self-serve-review/eslint',
+        'self-serve-review/custom-rules',
+        'self-serve-review/bug-detection'
+      ]);
+
+      const customRun = sarif.runs[1];
+      expect(customRun.tool.driver.rules[0]).toMatchObject({
+        id: 'no-console-log-production',
+        shortDescription: { text: 'Avoid console.log in production code' },
+        defaultConfiguration: { level: 'error' },
+        properties: { category: 'logging' }
+      });
+      expect(customRun.tool.driver.rules[0].help.text).toContain("Good: logger.info('x');");
+
+      const eslintResult = sarif.runs[0].results[0];
+      expect(eslintResult.locations[0].physicalLocation).toEqual({
+        artifactLocation: { uri: 'src/app.ts', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 4, startColumn: 7 }
+      });
+
+      const bugResult = sarif.runs[2].results[0];
+      expect(bugResult.ruleId).toBe('potentially-unused-variable');
+      expect(bugResult.level).toBe('note');
+    });
+  });
+
+  describe('JUnit', () => {
+    test('should render analyzers as suites and rule/file pairs as failing test cases', () => {
+      const xml = createGenerator().createJUnitContent(findings, ruleEngine);
+
+      expect(xml).toContain('<testsuites name="self-serve-review" tests="3" failures="3" errors="0">');
+      expect(xml).toContain('<testsuite name="customRules" tests="1" failures="1"');
+      expect(xml).toContain('name="no-console-log-production (src/app.ts)" file="src/app.ts" line="10"');
+      expect(xml).toContain('src/app.ts:10 Avoid console.log in production code\n  Suggestion: Use the structured logger');
+      expect(xml).toContain('&apos;x&apos; is defined but never used.');
+    });
+
+    test('should list custom rules without violations as passing test cases', () => {
+      const xml = createGenerator().createJUnitContent({ customRules: { success: true, violations: 0, details: [] } }, ruleEngine);
+
+      expect(xml).toContain('<testsuite name="customRules" tests="1" failures="0"');
+      expect(xml).toContain('<testcase classname="customRules.no-console-log-production" name="no-console-log-production"/>');
+    });
+  });
+
+  describe('CodeClimate', () => {
+    test('should map findings to issues with categories, severities and locations', () => {
+      const issues = createGenerator().createCodeClimateIssues(findings, ruleEngine);
+
+      expect(issues).toHaveLength(3);
+      expect(issues[0]).toMatchObject({
+        type: 'issue',
+        check_name: 'no-unused-vars',
+        categories: ['Style'],
+        severity: 'major',
+        location: { path: 'src/app.ts', lines: { begin: 4 } }
+      });
+      expect(issues[1]).toMatchObject({
+        check_name: 'no-console-log-production',
+        categories: ['Clarity'],
+        severity: 'major',
+        content: { body: 'Use the structured logger' }
+      });
+      expect(issues[2]).toMatchObject({ check_name: 'potentially-unused-variable', categories: ['Bug Risk'], severity: 'info' });
+    });
+
+    test('should keep fingerprints stable when a finding moves to another line', () => {
+      const moved = {
+        bugDetection: { ...findings.bugDetection, potentialIssues: [{ ...findings.bugDetection.potentialIssues[0], line: 40 }] }
+      };
+      const [before] = createGenerator().createCodeClimateIssues({ bugDetection: findings.bugDetection }, ruleEngine);
+      const [after] = createGenerator().createCodeClimateIssues(moved, ruleEngine);
+
+      expect(after.fingerprint).toBe(before.fingerprint);
+      expect(after.location.lines.begin).toBe(40);
+    });
+  });
+
+  describe('Console formats', () => {
+    test('should group checkstyle errors by file', () => {
+      const xml = createGenerator().formatFindings(findings, 'checkstyle');
+
+      expect(xml).toContain('<checkstyle version="4.3">');
+      expect(xml.match(/<file name="src\/app.ts">/g)).toHaveLength(1);
+      expect(xml).toContain('<error line="4" column="7" severity="error" message="&apos;x&apos; is defined but never used." source="self-serve-review.eslint.no-unused-vars"/>');
+    });
+
+    test('should print one compact line per finding', () => {
+      const lines = createGenerator().formatFindings(findings, 'compact').trim().split('\n');
+
+      expect(lines).toEqual([
+        "src/app.ts:4:7: error no-unused-vars 'x' is defined but never used.",
+        'src/app.ts:10:1: error no-console-log-production Avoid console.log in production code',
+        'src/app.ts:12:1: info potentially-unused-variable Potentially unused variable: y'
+      ]);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => createGenerator().formatFindings(findings, 'xml')).toThrow('Unknown format: xml');
+    });
+  });
+});
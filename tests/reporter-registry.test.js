@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReporterRegistry = require('../lib/reporter-registry');
+const ConfigManager = require('../lib/config-manager');
+
+describe('Reporter Registry', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'reporter-registry-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('should register all built-in reporters', () => {
+    const registry = ReporterRegistry.createDefault();
+
+    expect(registry.names()).toEqual(ReporterRegistry.BUILT_IN_REPORTERS);
+    expect(registry.get('ai-summary').key).toBe('aiSummary');
+  });
+
+  test('should load custom reporters listed in config', async () => {
+    fs.writeFileSync(path.join(projectRoot, 'my-reporter.js'),
+      "module.exports = { name: 'my-reporter', generate: async () => ({ type: 'my-reporter' }) };");
+    fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'),
+      JSON.stringify({ reporters: ['json', './my-reporter.js'] }));
+
+    const configManager = new ConfigManager({ projectRoot });
+    await configManager.loadConfig();
+    const registry = ReporterRegistry.createDefault(configManager);
+
+    expect(configManager.getEnabledReporters()).toEqual(['json', './my-reporter.js']);
+    expect(registry.get('./my-reporter.js').name).toBe('my-reporter');
+    expect(registry.has('my-reporter')).toBe(true);
+  });
+
+  test('should reject reporters without generate()', () => {
+    const registry = new ReporterRegistry();
+    expect(() => registry.register({ name: 'broken' })).toThrow("Missing required function 'generate(context)'");
+  });
+});
@@ -0,0 +1,108 @@
+const RuleEngine = require('../lib/rule-engine');
+
+describe('Rule Engine', () => {
+  describe('File matching', () => {
+    const ruleEngine = new RuleEngine({
+      rules: [
+        { id: 'everywhere' },
+        { id: 'typescript-only', files: ['src/**/*.ts'] },
+        { id: 'no-console', files: ['src/**/*.{ts,js}', '!src/scripts/**'], excludeFiles: ['**/*.{test,spec}.ts'] },
+        { id: 'config-files', files: ['*.config.js'] }
+      ]
+    });
+    const idsFor = (file) => ruleEngine.getRulesForFile(file).map(rule => rule.id);
+
+    test('should anchor globs to the project root and escape dots', () => {
+      expect(idsFor('src/index.ts')).toEqual(['everywhere', 'typescript-only', 'no-console']);
+      expect(idsFor('src/foo.tsx.bak')).toEqual(['everywhere']);
+      expect(idsFor('lib/src/index.ts')).toEqual(['everywhere']);
+      expect(idsFor('./src/api/handler.js')).toEqual(['everywhere', 'no-console']);
+    });
+
+    test('should apply negated files patterns and excludeFiles', () => {
+      expect(idsFor('src/api/handler.test.ts')).toEqual(['everywhere', 'typescript-only']);
+      expect(idsFor('src/scripts/seed.ts')).toEqual(['everywhere', 'typescript-only']);
+      expect(idsFor('tools/jest.config.js')).toEqual(['everywhere', 'config-files']);
+    });
+
+    test('should explain why a rule applies or not', () => {
+      const [everywhere, typescriptOnly, noConsole] = ruleEngine.rules;
+
+      expect(ruleEngine.explainRuleForFile(everywhere, 'src/a.ts').reason).toBe('no files patterns (applies to all files)');
+      expect(ruleEngine.explainRuleForFile(typescriptOnly, 'src/a.ts')).toMatchObject({ applies: true, pattern: 'src/**/*.ts' });
+      expect(ruleEngine.explainRuleForFile(typescriptOnly, 'src/a.js')).toMatchObject({ applies: false, reason: 'matches none of "src/**/*.ts"' });
+      expect(ruleEngine.explainRuleForFile(noConsole, 'src/a.spec.ts')).toMatchObject({ applies: false, reason: 'excluded by "**/*.{test,spec}.ts"' });
+    });
+  });
+
+  describe('Validation', () => {
+    const rule = {
+      id: 'jwt-secret-hardcoded',
+      category: 'authentication',
+      severity: 'CRITICAL',
+      description: 'JWT secrets must not be hardcoded',
+      suggestion: 'Use environment variables for JWT secrets',
+      example: { bad: "jwt.sign(payload, 'secret');", good: 'jwt.sign(payload, process.env.JWT_SECRET);' }
+    };
+    const errorsFor = (overrides) => new RuleEngine().validateRule({ ...rule, ...overrides }, 0).errors;
+
+    test('should require a valid selector for AST rules and check type, matchIn, fix and tests', () => {
+      expect(errorsFor({ type: 'ast', selector: "CallExpression[callee.property.name='sign'] > Literal:nth-child(2)" })).toEqual([]);
+      expect(errorsFor({ type: 'ast', pattern: 'jwt\\.sign' })).toEqual(["Rule 0: Missing required field 'selector'"]);
+      expect(errorsFor({ type: 'ast', selector: 'CallExpression[[' })[0]).toMatch(/^Rule jwt-secret-hardcoded: Invalid AST selector/);
+      expect(errorsFor({ pattern: 'console\\.log', matchIn: 'docs' })).toEqual(["Rule jwt-secret-hardcoded: Invalid matchIn 'docs'. Must be one of: code, comments, strings, all"]);
+      expect(errorsFor({ pattern: 'console\\.log', fix: 'logger.info' })).toEqual(["Rule jwt-secret-hardcoded: 'fix' must be an object with a 'replace' string"]);
+      expect(errorsFor({ pattern: 'x', tests: [{ code: 'x', expect: 'yes' }] })).toEqual(["Rule jwt-secret-hardcoded: tests[0] must have a 'code' string and an 'expect' boolean or violation count"]);
+      expect(errorsFor({ type: 'xpath', pattern: 'x' })).toEqual(["Rule jwt-secret-hardcoded: Invalid type 'xpath'. Must be one of: regex, ast"]);
+    });
+
+    test('should only load the AST parser when a rule needs it', () => {
+      jest.isolateModules(() => {
+        jest.doMock('../lib/ast-matcher', () => { throw new SyntaxError("Unexpected token '??='"); });
+        const IsolatedEngine = require('../lib/rule-engine');
+        const regexOnly = new IsolatedEngine({ rules: [{ ...rule, pattern: 'console\\.log', matchIn: 'code' }] });
+
+        expect(regexOnly.validateRules().errors).toEqual([]);
+        expect(regexOnly.matchFile('src/a.ts', "console.log('a');")).toHaveLength(1);
+        expect(new IsolatedEngine().validateRule({ ...rule, type: 'ast', selector: 'CallExpression' }, 0).errors[0])
+          .toMatch(/^Rule jwt-secret-hardcoded: AST rules need Node\.js >= 18\.18/);
+      });
+      jest.dontMock('../lib/ast-matcher');
+    });
+  });
+
+  describe('Rule tests', () => {
+    test('should report false positives and negatives from examples and test fixtures', () => {
+      const ruleEngine = new RuleEngine({
+        rules: [
+          {
+            id: 'structured-logging',
+            pattern: 'console\\.(log|warn)',
+            matchIn: 'code',
+            example: { bad: "console.log('user created');", good: "logger.info('user created'); // not console.log" },
+            tests: [{ code: 'console.warn(a); console.log(b);', expect: 2 }]
+          },
+          {
+            id: 'missing-rate-limiting',
+            pattern: 'router\\.get\\(',
+            example: { bad: "router.get('/users', handler);", good: "router.get('/users', rateLimiter, handler);" },
+            tests: [{ code: "app.get('/users', handler);", expect: true }]
+          },
+          { id: 'undocumented', pattern: 'TODO' }
+        ]
+      });
+
+      const testRun = ruleEngine.testRules();
+
+      expect(testRun.passed).toBe(false);
+      expect(testRun.rules.map(result => [result.id, result.passed, result.tested])).toEqual([
+        ['structured-logging', true, true],
+        ['missing-rate-limiting', false, true],
+        ['undocumented', true, false]
+      ]);
+      expect(testRun.rules[1].cases.filter(testCase => !testCase.passed).map(testCase => [testCase.source, testCase.failure, testCase.violations]))
+        .toEqual([['example.good', 'false-positive', 1], ['tests[0]', 'false-negative', 0]]);
+      expect(testRun.stats).toEqual({ totalRules: 3, testedRules: 2, failedRules: 1, totalCases: 6, falsePositives: 1, falseNegatives: 1 });
+    });
+  });
+});
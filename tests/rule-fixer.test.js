@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RuleEngine = require('../lib/rule-engine');
+const RuleFixer = require('../lib/rule-fixer');
+
+describe('Rule fixer', () => {
+  let projectRoot;
+
+  const rule = (id, fields) => ({ id, category: 'logging', severity: 'WARNING', description: id, suggestion: id, ...fields });
+  const writeSource = (content) => {
+    const file = path.join(projectRoot, 'src', 'app.ts');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-fixer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('should apply regex fixes with capture groups outside comments and re-check the rule', () => {
+    const file = writeSource("// console.log('kept')\nconsole.log('a');\nif (x) console.warn(error);\n");
+    const ruleEngine = new RuleEngine({
+      rules: [rule('structured-logging', { pattern: 'console\\.(log|warn)\\(', matchIn: 'code', fix: { replace: 'logger.$1(' } })]
+    });
+
+    const [result] = new RuleFixer(projectRoot, ruleEngine).fixFiles([file]);
+
+    expect(result.applied).toHaveLength(2);
+    expect(result.remaining).toEqual([]);
+    expect(fs.readFileSync(file, 'utf8')).toBe("// console.log('kept')\nlogger.log('a');\nif (x) logger.warn(error);\n");
+  });
+
+  test('should fill AST fix placeholders, skip overlapping edits and leave files alone in dry runs', () => {
+    const content = "import jwt from 'jsonwebtoken';\nconst token = jwt.sign(payload, 'secret');\n";
+    const file = writeSource(content);
+    const ruleEngine = new RuleEngine({
+      rules: [
+        rule('jwt-secret-hardcoded', {
+          type: 'ast',
+          selector: "CallExpression[callee.object.name='jwt'] > Literal:nth-child(2)",
+          fix: { replace: 'process.env.JWT_SECRET' }
+        }),
+        rule('jwt-sign-options', {
+          type: 'ast',
+          selector: "CallExpression[callee.property.name='sign'][arguments.length=2]",
+          fix: { replace: '{{callee}}({{arguments}}, { expiresIn: "1h" })' }
+        })
+      ]
+    });
+
+    const [result] = new RuleFixer(projectRoot, ruleEngine, { dryRun: true }).fixFiles([file]);
+
+    expect(result.applied.map(edit => edit.text)).toEqual(["jwt.sign(payload, 'secret', { expiresIn: \"1h\" })"]);
+    expect(result.skipped.map(edit => edit.rule.id)).toEqual(['jwt-secret-hardcoded']);
+    expect(result.remaining.map(match => match.rule.id)).toEqual([]);
+    expect(result.diff).toBe([
+      '--- a/src/app.ts',
+      '+++ b/src/app.ts',
+      '@@ -1,2 +1,2 @@',
+      " import jwt from 'jsonwebtoken';",
+      "-const token = jwt.sign(payload, 'secret');",
+      "+const token = jwt.sign(payload, 'secret', { expiresIn: \"1h\" });",
+      ''
+    ].join('\n'));
+    expect(fs.readFileSync(file, 'utf8')).toBe(content);
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../lib/config-manager');
+const RuleEngine = require('../lib/rule-engine');
+const RuleResolver = require('../lib/rule-resolver');
+
+describe('Rule resolution', () => {
+  let projectRoot;
+
+  const rule = (id) => ({ id, category: 'maintainability', severity: 'INFO', description: id, pattern: id, suggestion: id });
+  const writeJson = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-resolver-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('should merge template, rules files and inline rules and record their origins', async () => {
+    writeJson('.self-serve-review.json', {
+      extends: 'api-gateway',
+      ruleFiles: ['rules/team.json'],
+      rules: [rule('inline-rule')]
+    });
+    writeJson(RuleResolver.RULES_FILE, {
+      rules: [{ ...rule('cors-wildcard-origin'), severity: 'WARNING' }],
+      categories: { maintainability: { priority: 'LOW', description: 'Maintainability' } }
+    });
+    writeJson('rules/team.json', { rules: [rule('team-rule')] });
+
+    const configManager = new ConfigManager({ projectRoot });
+    await configManager.loadConfig();
+    const ruleEngine = new RuleEngine(configManager.getRules());
+    const ids = ruleEngine.rules.map(entry => entry.id);
+
+    expect(ids.filter(id => id === 'cors-wildcard-origin')).toHaveLength(1);
+    expect(ids.slice(-2)).toEqual(['team-rule', 'inline-rule']);
+    expect(ruleEngine.rules.find(entry => entry.id === 'cors-wildcard-origin').severity).toBe('WARNING');
+    expect(ruleEngine.categories.maintainability.priority).toBe('LOW');
+    expect(ruleEngine.categories.security).toBeDefined();
+
+    expect(ruleEngine.getRuleOrigin('jwt-secret-hardcoded')).toMatchObject({ type: 'template', name: 'api-gateway', overrides: [] });
+    expect(RuleResolver.formatOrigin(ruleEngine.getRuleOrigin('cors-wildcard-origin')))
+      .toBe('template api-gateway, overridden by .self-serve-review/rules.json (category, severity, description, pattern, suggestion)');
+    expect(ruleEngine.getRuleOrigin('team-rule')).toMatchObject({ type: 'rules-file', name: 'rules/team.json' });
+    expect(ruleEngine.getRuleOrigin('inline-rule')).toMatchObject({ type: 'config', name: '.self-serve-review.json' });
+    expect(configManager.getRuleFiles()).toEqual([RuleResolver.RULES_FILE, 'rules/team.json']);
+  });
+
+  test('should merge overrides into inherited rules by ID and record the layer of each field', async () => {
+    writeJson('.self-serve-review.json', {
+      extends: 'api-gateway',
+      rules: {
+        'async-error-handling': { severity: 'INFO', files: ['src/routes/**'] },
+        'unused-imports': { enabled: false }
+      }
+    });
+    writeJson('package.json', { 'self-serve-review': { rules: [{ id: 'async-error-handling', pattern: 'async\\s+function' }] } });
+
+    const configManager = new ConfigManager({ projectRoot });
+    await configManager.loadConfig();
+    const { rules, origins } = configManager.getRules();
+    const asyncRule = rules.find(entry => entry.id === 'async-error-handling');
+
+    expect(rules.filter(entry => entry.id === 'async-error-handling')).toHaveLength(1);
+    expect(rules.some(entry => entry.id === 'unused-imports')).toBe(false);
+    expect(new RuleEngine(configManager.getRules()).validateRules().errors).toEqual([]);
+    expect(asyncRule).toMatchObject({ severity: 'INFO', files: ['src/routes/**'], pattern: 'async\\s+function', category: 'routing' });
+
+    const origin = origins['async-error-handling'];
+    expect(RuleResolver.formatSource(origin.fields.category)).toBe('template api-gateway');
+    expect(RuleResolver.formatSource(origin.fields.severity)).toBe('.self-serve-review.json');
+    expect(RuleResolver.formatSource(origin.fields.pattern)).toBe('package.json');
+    expect(origins['unused-imports']).toMatchObject({ enabled: false, fields: { enabled: { type: 'config', name: '.self-serve-review.json' } } });
+  });
+
+  test('should keep duplicate IDs within one source for validation to report', () => {
+    const ruleSet = new RuleResolver(projectRoot)
+      .addSource({ type: 'config', name: '.self-serve-review.json' }, { rules: [rule('twice'), rule('twice')] })
+      .resolve();
+
+    expect(new RuleEngine(ruleSet).validateRules().errors).toContain('Duplicate rule ID: twice');
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CodeReviewTool = require('../lib/index');
+
+describe('Scoring', () => {
+  let projectRoot;
+
+  const createTool = async (config) => {
+    fs.writeFileSync(path.join(projectRoot, '.self-serve-review.json'), JSON.stringify(config));
+    const tool = new CodeReviewTool({ projectRoot });
+    await tool.configManager.loadConfig();
+    return tool;
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  const partialFindings = {
+    eslint: { success: false, errors: 5, warnings: 10, details: [] },
+    customRules: { success: true, violations: 2, details: [{ severity: 'CRITICAL' }, { severity: 'WARNING' }] },
+    typescript: { success: false, error: 'No tsconfig.json found' }
+  };
+
+  test('should score the analyzers that ran, with penalties for failing ones and zero for those that could not run', async () => {
+    const tool = await createTool({});
+    const score = tool.calculateScore(partialFindings);
+
+    expect(score.breakdown.eslint.score).toBe(80);
+    expect(score.breakdown['custom-rules'].score).toBe(75);
+    expect(score.breakdown.typescript.score).toBe(0);
+    expect(score.breakdown.security).toBeUndefined();
+    expect(score.model.weights['custom-rules']).toBe(10);
+    // (80 * 15 + 75 * 10 + 0 * 15) / 40: analyzers that were not run are not counted
+    expect(score.overall).toBe(49);
+    expect(score.grade).toBe('F');
+  });
+
+  test('should leave out analyzers that could not run with scoring.skipUnavailable', async () => {
+    const tool = await createTool({ scoring: { skipUnavailable: true } });
+    const score = tool.calculateScore(partialFindings);
+
+    expect(score.breakdown.typescript).toBeUndefined();
+    // (80 * 15 + 75 * 10) / 25: eslint ran with errors, typescript could not run
+    expect(score.overall).toBe(78);
+    expect(tool.configManager.validateConfig().errors).toEqual([]);
+  });
+
+  test('should apply configured weights, penalties and grade boundaries', async () => {
+    const tool = await createTool({
+      scoring: {
+        weights: { eslint: 30, 'custom-rules': 0 },
+        penalties: { eslint: { warning: 4 } },
+        grades: { A: 95, B: 75 },
+        skipUnavailable: true
+      }
+    });
+    const score = tool.calculateScore({
+      eslint: { success: true, errors: 0, warnings: 5, details: [] },
+      customRules: { success: true, violations: 1, details: [{ severity: 'ERROR' }] }
+    });
+
+    expect(score.model.weights.eslint).toBe(30);
+    expect(score.model.weights['custom-rules']).toBeUndefined();
+    expect(score.model.penalties.eslint).toEqual({ error: 2, warning: 4 });
+    expect(score.overall).toBe(80);
+    expect(score.grade).toBe('B');
+  });
+});
@@ -0,0 +1,47 @@
+const { normalizeSeverity, meetsSeverity, getFindingSeverity, parseFailOn } = require('../lib/severity');
+const { filterFindingResult } = require('../lib/findings');
+
+const atLeast = (analyzer, minimum) => item => meetsSeverity(getFindingSeverity(analyzer, item), minimum);
+
+describe('Severity model', () => {
+  test('should map analyzer severities onto one scale', () => {
+    expect(normalizeSeverity(2)).toBe('error');
+    expect(normalizeSeverity(1)).toBe('warning');
+    expect(normalizeSeverity('CRITICAL')).toBe('critical');
+    expect(normalizeSeverity('moderate')).toBe('warning');
+    expect(normalizeSeverity('high')).toBe('error');
+    expect(normalizeSeverity('INFO')).toBe('info');
+    expect(normalizeSeverity(undefined)).toBe('warning');
+    expect(meetsSeverity('ERROR', 'warning')).toBe(true);
+    expect(meetsSeverity('info', 'warning')).toBe(false);
+  });
+
+  test('should drop findings below the minimum and update counters', () => {
+    const eslint = {
+      success: false,
+      errors: 1,
+      warnings: 2,
+      issues: 3,
+      details: [
+        { file: 'src/a.ts', line: 1, severity: 'error', rule: 'no-undef', message: 'x is not defined' },
+        { file: 'src/a.ts', line: 2, severity: 'warning', rule: 'no-console', message: 'Unexpected console statement' },
+        { file: 'src/a.ts', line: 3, severity: 'warning', rule: 'no-console', message: 'Unexpected console statement' }
+      ]
+    };
+
+    const { result, removed } = filterFindingResult('eslint', eslint, atLeast('eslint', 'error'));
+    expect(removed).toHaveLength(2);
+    expect(result).toMatchObject({ errors: 1, warnings: 0, issues: 1 });
+    expect(result.details).toHaveLength(1);
+    expect(eslint.details).toHaveLength(3);
+
+    const typescript = { success: true, errors: 1, details: [{ file: 'src/a.ts', line: 1, code: '2304', message: "Cannot find name 'x'." }] };
+    expect(filterFindingResult('typescript', typescript, atLeast('typescript', 'error')).removed).toHaveLength(0);
+  });
+
+  test('should parse --fail-on with per-analyzer minimums', () => {
+    expect(parseFailOn('critical')).toEqual({ severity: 'critical', analyzers: {} });
+    expect(parseFailOn('critical, bug-detection:ERROR')).toEqual({ severity: 'critical', analyzers: { 'bug-detection': 'error' } });
+    expect(() => parseFailOn('critical,bug-detection:fatal')).toThrow('Invalid --fail-on severity: bug-detection:fatal');
+  });
+});
@@ -0,0 +1,58 @@
+const SourceMask = require('../lib/source-mask');
+
+describe('Source mask', () => {
+  const content = [
+    "// console.log('debug')",
+    "const label = 'console.log'; /* TODO */",
+    'const ratio = total / count / 2;',
+    'const pattern = /["\'`]/g;',
+    'const text = `${user.name} {${ { a: 1 }.a }} done`;'
+  ].join('\n');
+
+  test('should find comments, strings, template parts and regex literals', () => {
+    const regions = new SourceMask(content).regions.map(region => [region.type, content.slice(region.start, region.end)]);
+
+    expect(regions).toEqual([
+      ['comment', "// console.log('debug')"],
+      ['string', "'console.log'"],
+      ['comment', '/* TODO */'],
+      ['string', '/["\'`]/g'],
+      ['string', '`${'],
+      ['string', '} {${'],
+      ['string', '}} done`']
+    ]);
+  });
+
+  test('should blank out excluded regions while keeping offsets and line breaks', () => {
+    const mask = new SourceMask(content);
+    const code = mask.getText('code');
+
+    expect(code).toHaveLength(content.length);
+    expect(code.split('\n')[1]).toBe('const label =              ;           ');
+    expect(code.match(/console\.log/g)).toBeNull();
+    expect(mask.getText('comments').trim().split(/\s+/)).toEqual(['//', "console.log('debug')", '/*', 'TODO', '*/']);
+    expect(mask.getText('strings').indexOf("'console.log'")).toBe(content.indexOf("'console.log'"));
+    expect(mask.getText('all')).toBe(content);
+  });
+
+  test('should read JSX text and attribute values in .jsx/.tsx files', () => {
+    const jsx = [
+      '// greeting',
+      'const note = <p title="it\'s \\ fine">it\'s {user.name} <b>// not a comment</b><br /></p>;',
+      "console.log('rendered');",
+      'const identity = <T,>(value: T) => value;',
+      'const ordered = a < b && c > d;'
+    ].join('\n');
+    const regionsFor = (source, filePath) => new SourceMask(source, filePath).regions.map(region => [region.type, source.slice(region.start, region.end)]);
+
+    expect(regionsFor(jsx, 'src/note.tsx')).toEqual([
+      ['comment', '// greeting'],
+      ['string', '"it\'s \\ fine"'],
+      ['string', "it's "],
+      ['string', '// not a comment'],
+      ['string', "'rendered'"]
+    ]);
+    expect(new SourceMask(jsx, 'src/note.jsx').getText('code').split('\n')[2]).toBe('console.log(          );');
+    expect(regionsFor("const count = <number>total; // it's", 'src/count.ts')).toEqual([['comment', "// it's"]]);
+  });
+});
@@ -0,0 +1,60 @@
+const Suppressions = require('../lib/suppressions');
+
+const source = [
+  '// self-serve-review-disable-next-line no-console-log-production -- CLI entry point prints to stdout',
+  "console.log('ready');",
+  "console.log('not covered');",
+  '/* self-serve-review-disable potential-null-undefined-access -- generated client, checked upstream */',
+  'client.fetch();',
+  'client.close();',
+  '/* self-serve-review-enable potential-null-undefined-access */',
+  'other.fetch();',
+  '// self-serve-review-disable-next-line infinite-loop-detected -- no loop here any more',
+  'const x = 1;',
+  '// self-serve-review-disable-next-line no-console-log-production',
+  "console.log('no reason');"
+].join('\n');
+
+const consoleViolation = line => ({
+  file: 'src/app.ts', line, rule: 'no-console-log-production', severity: 'ERROR', message: 'Avoid console.log in production code', matchedText: 'console.log'
+});
+const nullAccess = line => ({
+  file: 'src/app.ts', line, issue: 'Potential null/undefined access', severity: 'WARNING', code: 'client.fetch();'
+});
+
+describe('Suppressions', () => {
+  test('should silence next-line and block suppressions and report unused and unjustified ones', () => {
+    const suppressions = new Suppressions('/project');
+    suppressions.addFile('src/app.ts', source);
+
+    const customRules = suppressions.apply('customRules', {
+      success: true,
+      violations: 3,
+      details: [consoleViolation(2), consoleViolation(3), consoleViolation(12)]
+    }).result;
+    const bugDetection = suppressions.apply('bugDetection', {
+      bugs: [], potentialIssues: [nullAccess(5), nullAccess(6), nullAccess(8)], securityRisks: [], performanceIssues: []
+    }).result;
+
+    expect(customRules.details.map(detail => detail.line)).toEqual([3, 12]);
+    expect(customRules.violations).toBe(2);
+    expect(bugDetection.potentialIssues.map(issue => issue.line)).toEqual([8]);
+
+    const result = suppressions.getResult();
+    expect(result.active.map(entry => [entry.line, entry.matches, entry.reason])).toEqual([
+      [1, 1, 'CLI entry point prints to stdout'],
+      [4, 2, 'generated client, checked upstream']
+    ]);
+    expect(result.unused).toEqual([expect.objectContaining({ line: 9, rule: 'unused-suppression' })]);
+    expect(result.invalid).toEqual([expect.objectContaining({ line: 11, rule: 'suppression-missing-justification' })]);
+  });
+
+  test('should only report suppressions as unused when their analyzer ran', () => {
+    const suppressions = new Suppressions('/project', { customRuleIds: ['no-console-log-production'] });
+    suppressions.addFile('src/app.ts', source);
+
+    suppressions.apply('customRules', { success: true, violations: 0, details: [] });
+
+    expect(suppressions.getResult().unused.map(entry => entry.line)).toEqual([1]);
+  });
+});
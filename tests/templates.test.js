@@ -0,0 +1,39 @@
+const path = require('path');
+const RuleEngine = require('../lib/rule-engine');
+const TemplateManager = require('../lib/template-manager');
+
+describe('Bundled templates', () => {
+  const templateManager = new TemplateManager();
+  const templates = templateManager.listTemplates().map(template => template.name);
+
+  test('should bundle templates', () => {
+    expect(templates.length).toBeGreaterThan(0);
+  });
+
+  test.each(templates)('%s rules should validate and pass their examples and tests', (templateName) => {
+    const ruleEngine = RuleEngine.loadFromFile(path.join(templateManager.templatesDir, templateName, 'rules.json'));
+
+    expect(ruleEngine.validateRules().errors).toEqual([]);
+
+    const testRun = ruleEngine.testRules();
+    const failures = testRun.rules.flatMap(rule => rule.cases
+      .filter(testCase => !testCase.passed)
+      .map(testCase => `${rule.id} ${testCase.source}: ${testCase.failure} (${testCase.violations} violations)`));
+    expect(failures).toEqual([]);
+    expect(testRun.stats.testedRules).toBe(testRun.stats.totalRules);
+  });
+
+  test('unused-imports should scan large files in linear time', () => {
+    const ruleEngine = RuleEngine.loadFromFile(path.join(templateManager.templatesDir, 'api-gateway', 'rules.json'));
+    const rule = ruleEngine.rules.find(candidate => candidate.id === 'unused-imports');
+    const imports = Array.from({ length: 100 }, (_, index) => `import { dep${index} } from 'dep-${index}';`);
+    const body = Array.from({ length: 5000 }, (_, index) => `export const value${index} = compute(${index}, 'line ${index}');`);
+    const uses = imports.slice(0, 50).map((_, index) => `use(dep${index});`);
+
+    const started = Date.now();
+    const matches = ruleEngine.matchFile('src/large.ts', [...imports, ...body, ...uses].join('\n'), [rule]);
+
+    expect(matches).toHaveLength(50);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,49 @@
+const CodeReviewTool = require('../lib/index');
+const FileWatcher = require('../lib/file-watcher');
+const { diffFindings } = require('../lib/findings');
+
+describe('Watch mode', () => {
+  test('should honour ignore patterns', () => {
+    const watcher = new FileWatcher('/project', { ignore: ['node_modules/', '*.min.js', 'reports/'] });
+
+    expect(watcher.isIgnored('node_modules/')).toBe(true);
+    expect(watcher.isIgnored('packages/a/node_modules/lib/index.js')).toBe(true);
+    expect(watcher.isIgnored('public/app.min.js')).toBe(true);
+    expect(watcher.isIgnored('reports/code-review-report.html')).toBe(true);
+    expect(watcher.isIgnored('src/index.ts')).toBe(false);
+  });
+
+  test('should select analyzers affected by changed files', () => {
+    const tool = new CodeReviewTool();
+    const analyzers = ['eslint', 'typescript', 'security', 'custom-rules'];
+
+    expect(tool.getAffectedAnalyzers(['src/app.ts'], analyzers)).toEqual(['eslint', 'typescript', 'custom-rules']);
+    expect(tool.getAffectedAnalyzers(['package-lock.json'], analyzers)).toEqual(['security']);
+    expect(tool.getAffectedAnalyzers(['README.md'], analyzers)).toEqual([]);
+  });
+
+  test('should report new and fixed findings between runs', () => {
+    const previous = {
+      bugDetection: {
+        bugs: [{ file: 'src/a.ts', line: 3, issue: 'Infinite loop detected', code: 'while(true) {' }],
+        potentialIssues: [],
+        securityRisks: [],
+        performanceIssues: []
+      }
+    };
+    const current = {
+      bugDetection: {
+        bugs: [],
+        potentialIssues: [],
+        securityRisks: [{ file: 'src/a.ts', line: 5, issue: 'Hardcoded secret detected', code: "const token = 'abcdefghij';" }],
+        performanceIssues: []
+      }
+    };
+
+    const delta = diffFindings(previous, current);
+    expect(delta.added).toHaveLength(1);
+    expect(delta.added[0].message).toBe('Hardcoded secret detected');
+    expect(delta.fixed).toHaveLength(1);
+    expect(delta.fixed[0].message).toBe('Infinite loop detected');
+  });
+});